@@ -1,12 +1,15 @@
 // Catchonika — default-on MIDI capture and one-click export to .mid
 // Card-ready: render neatly inside any container (tabs, panels, etc.)
-// v1.3.0 — Refactored for Tonika Design System with BEM naming conventions
+// v1.9.0 — Sessions stored in IndexedDB, a History of past sessions, and pinned takes
 
 (() => {
     const PPQ = 128;
     const DEFAULT_BPM = 120;
-    const STORAGE_KEY = "catchonika_state_v1";
+    const LEGACY_STORAGE_KEY = "catchonika_state_v1"; // whole buffer as one blob, before IndexedDB
+    const SETTINGS_KEY = "catchonika_settings_v1";
     const PERSIST_DEBOUNCE_MS = 750;
+    const PLAYBACK_TICK_MS = 15;
+    const ROLL_WIDTH = 540; // SVG units; rolls stretch to their container
 
     const clamp = (n, min, max) => Math.max(min, Math.min(max, n));
     const ts = () =>
@@ -31,34 +34,308 @@
         ];
         return `${names[n % 12]}${Math.floor(n / 12) - 1}`;
     }
-    function msToTicks(ms, bpm, ppq = PPQ) {
-        return Math.max(1, Math.round((ms / 60000) * (bpm * ppq)));
+    // Grid step in ms for a note division (16 = sixteenths), optionally as triplets
+    function gridStepMs(bpm, division, triplets) {
+        const step = (60000 / bpm) * (4 / division);
+        return triplets ? (step * 2) / 3 : step;
     }
 
+    // Small seeded PRNG (mulberry32) so a take's humanize matches between preview and file
+    function seededRandom(seed) {
+        let a = seed >>> 0;
+        return () => {
+            a = (a + 0x6d2b79f5) >>> 0;
+            let r = Math.imul(a ^ (a >>> 15), 1 | a);
+            r = (r + Math.imul(r ^ (r >>> 7), 61 | r)) ^ r;
+            return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    // Raw bytes for the events written by the controller export, or null
+    function controllerBytes(e) {
+        if (e.type === "cc") return [0xb0 | (e.ch - 1), e.cc, e.val];
+        if (e.type === "pitchbend") {
+            const v = clamp(e.value + 8192, 0, 16383);
+            return [0xe0 | (e.ch - 1), v & 0x7f, v >> 7];
+        }
+        if (e.type === "raw" && Array.isArray(e.bytes)) {
+            const kind = e.bytes[0] & 0xf0;
+            // Poly aftertouch, program change, channel aftertouch
+            if (kind === 0xa0 && e.bytes.length >= 3) return e.bytes.slice(0, 3);
+            if ((kind === 0xc0 || kind === 0xd0) && e.bytes.length >= 2)
+                return e.bytes.slice(0, 2);
+        }
+        return null;
+    }
+
+    // === Tempo detection ======================================================
+
+    const TEMPO_MIN_BPM = 60;
+    const TEMPO_MAX_BPM = 180;
+    const BEATS_PER_BAR = 4;
+
+    /**
+     * Estimate tempo, beat times and the first downbeat from played notes.
+     * Candidate tempos are scored by how much note weight lands on beats (and, at
+     * half weight, on off-beats) and how many beats have a note, nudged towards
+     * ~100 BPM to settle half/double-time ties. The winner is then followed beat
+     * by beat so a drifting performance still gets beats where it was played.
+     * @param {{startMs: number, vel: number}[]} notes
+     * @returns {{bpm: number, confidence: number, beats: number[], downbeat: number}|null}
+     */
+    function detectTempo(notes) {
+        // Chords count as one onset, weighted by how hard and how many
+        const onsets = [];
+        for (const n of [...notes].sort((a, b) => a.startMs - b.startMs)) {
+            const last = onsets[onsets.length - 1];
+            if (last && n.startMs - last.t < 40) last.w += n.vel;
+            else onsets.push({ t: n.startMs, w: n.vel });
+        }
+        if (onsets.length < 4) return null;
+        const first = onsets[0].t;
+        const lastT = onsets[onsets.length - 1].t;
+        const total = onsets.reduce((sum, o) => sum + o.w, 0);
+
+        const mod = (a, m) => ((a % m) + m) % m;
+        // Phase of the grid that best fits the onsets, from their circular mean
+        const gridPhase = (period) => {
+            let x = 0;
+            let y = 0;
+            for (const o of onsets) {
+                const a = (2 * Math.PI * o.t) / period;
+                x += o.w * Math.cos(a);
+                y += o.w * Math.sin(a);
+            }
+            return mod((Math.atan2(y, x) / (2 * Math.PI)) * period, period);
+        };
+        const score = (period, phase) => {
+            const tol = Math.min(period * 0.12, 80);
+            const hitBeats = new Set();
+            let on = 0;
+            let off = 0;
+            for (const o of onsets) {
+                const d = mod(o.t - phase, period);
+                if (Math.min(d, period - d) <= tol) {
+                    on += o.w;
+                    hitBeats.add(Math.round((o.t - phase) / period));
+                } else if (Math.abs(d - period / 2) <= tol) {
+                    off += o.w;
+                }
+            }
+            const spanned = Math.floor((lastT - first) / period) + 1;
+            return ((on + 0.5 * off) / total) * Math.sqrt(hitBeats.size / spanned);
+        };
+
+        let best = null;
+        for (let bpm = TEMPO_MIN_BPM; bpm <= TEMPO_MAX_BPM; bpm += 0.5) {
+            const period = 60000 / bpm;
+            // The half-beat grid fits both on- and off-beats; the beat is one of its two phases
+            const half = gridPhase(period / 2);
+            for (const phase of [half, half + period / 2]) {
+                const fit = score(period, phase);
+                const prior = Math.exp(-0.5 * (Math.log2(bpm / 100) / 0.7) ** 2);
+                if (!best || fit * prior > best.value) best = { value: fit * prior, fit, period, phase };
+            }
+        }
+
+        // The score is flat within its tolerance, so fit the grid to the on-beat notes exactly
+        for (let pass = 0; pass < 2; pass++) {
+            const tolMs = Math.min(best.period * 0.12, 80);
+            let n = 0;
+            let sk = 0;
+            let st = 0;
+            let skk = 0;
+            let skt = 0;
+            for (const o of onsets) {
+                const k = Math.round((o.t - best.phase) / best.period);
+                if (Math.abs(o.t - best.phase - k * best.period) > tolMs) continue;
+                n++;
+                sk += k;
+                st += o.t;
+                skk += k * k;
+                skt += k * o.t;
+            }
+            const denom = n * skk - sk * sk;
+            if (n < 2 || denom === 0) break;
+            best.period = (n * skt - sk * st) / denom;
+            best.phase = (st - best.period * sk) / n;
+        }
+
+        // Follow the beat through the take, letting the period drift with the playing,
+        // from the first note; a take that speeds up or slows down drifts off any fixed grid
+        const tol = (p) => p * 0.15;
+        let beats = [];
+        let period = best.period;
+        let beat = first;
+        let i = 0;
+        while (beat <= lastT + tol(period)) {
+            beats.push(beat);
+            const predicted = beat + period;
+            // Look wider than the scoring tolerance, preferring strong notes close to the beat
+            const search = period * 0.3;
+            while (i < onsets.length && onsets[i].t < predicted - search) i++;
+            let near = null;
+            let nearScore = 0;
+            for (let j = i; j < onsets.length && onsets[j].t <= predicted + search; j++) {
+                const candidate = onsets[j].w * (1 - Math.abs(onsets[j].t - predicted) / search);
+                if (candidate > nearScore) {
+                    near = onsets[j];
+                    nearScore = candidate;
+                }
+            }
+            const err = near ? near.t - predicted : 0;
+            period = clamp(period + 0.3 * err, best.period * 0.8, best.period * 1.25);
+            beat = predicted + 0.7 * err;
+        }
+        if (beats.length < 2) return null;
+
+        const weightNear = (b) => {
+            const t = tol(best.period);
+            return onsets.reduce((sum, o) => (Math.abs(o.t - b) <= t ? sum + o.w : sum), 0);
+        };
+        // An off-beat first note puts the beats between the real ones; move them if so
+        const between = beats.slice(0, -1).map((b, k) => (b + beats[k + 1]) / 2);
+        const sumOf = (list) => list.reduce((sum, b) => sum + weightNear(b), 0);
+        if (sumOf(between) > 1.2 * sumOf(beats)) {
+            const lastBetween = between[between.length - 1];
+            beats = [2 * beats[0] - between[0], ...between, 2 * beats[beats.length - 1] - lastBetween];
+        }
+
+        // The downbeat is the bar position whose beats carry the most weight
+        const accent = beats.map(weightNear);
+        let bar = 0;
+        let barWeight = -1;
+        for (let m = 0; m < Math.min(BEATS_PER_BAR, beats.length); m++) {
+            let weight = 0;
+            for (let k = m; k < beats.length; k += BEATS_PER_BAR) weight += accent[k];
+            if (weight > barWeight) {
+                barWeight = weight;
+                bar = m;
+            }
+        }
+
+        const bpm = 60000 / ((beats[beats.length - 1] - beats[0]) / (beats.length - 1));
+        return {
+            bpm: Math.round(bpm * 10) / 10,
+            confidence: Math.round(Math.min(1, best.fit) * 100) / 100,
+            beats,
+            downbeat: beats[bar],
+        };
+    }
+
+    // Fractional beat number of a time along tracked beats, extrapolating past either end
+    function beatPosition(beats, ms) {
+        const n = beats.length;
+        if (ms <= beats[0]) return (ms - beats[0]) / (beats[1] - beats[0]);
+        if (ms >= beats[n - 1]) return n - 1 + (ms - beats[n - 1]) / (beats[n - 1] - beats[n - 2]);
+        let lo = 0;
+        let hi = n - 1;
+        while (hi - lo > 1) {
+            const mid = (lo + hi) >> 1;
+            if (beats[mid] <= ms) lo = mid;
+            else hi = mid;
+        }
+        return lo + (ms - beats[lo]) / (beats[lo + 1] - beats[lo]);
+    }
+
+    // Set Tempo meta event bytes (microseconds per quarter note)
+    function tempoBytes(bpm) {
+        const us = Math.round(60000000 / bpm);
+        return [0xff, 0x51, 0x03, (us >> 16) & 0xff, (us >> 8) & 0xff, us & 0xff];
+    }
+
+    // === Session storage =======================================================
+
+    // One record per session in "sessions"; its events are appended to "chunks"
+    // as they come in, so a save never rewrites what is already stored
+    const DB_NAME = "catchonika";
+    const DB_VERSION = 1;
+    const CHUNK_EVENTS = 500;
+
+    function openSessionDB() {
+        if (typeof indexedDB === "undefined") return Promise.resolve(null);
+        return new Promise((resolve) => {
+            const req = indexedDB.open(DB_NAME, DB_VERSION);
+            req.onupgradeneeded = () => {
+                req.result.createObjectStore("sessions", { keyPath: "id" });
+                req.result.createObjectStore("chunks", { keyPath: ["sessionId", "seq"] });
+            };
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => resolve(null);
+        });
+    }
+
+    function requestDone(req) {
+        return new Promise((resolve, reject) => {
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+    }
+
+    function transactionDone(tx) {
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error ?? new Error("write aborted"));
+            tx.onabort = () => reject(tx.error ?? new Error("write aborted"));
+        });
+    }
+
+    // Every chunk key of a session
+    const sessionChunks = (sessionId) => IDBKeyRange.bound([sessionId, 0], [sessionId, Infinity]);
+
     class Catchonika {
         /**
          * @param {Object} opts
          * @param {HTMLElement|string} [opts.mount]
          * @param {"card"|"floating"} [opts.mode="card"]
-         * @param {number} [opts.bufferMinutes=30]
+         * @param {number} [opts.bufferMinutes=30] - Minutes of playing kept in memory; older events
+         *   stay in the session's storage, and pinned takes stay in memory too
+         * @param {number} [opts.historySessions=20] - Past sessions kept in History, not counting
+         *   sessions with pinned takes, which are never removed automatically
          * @param {number} [opts.defaultBpm=120]
          * @param {boolean} [opts.groupByChannel=false]
          * @param {number} [opts.takeIdleSeconds=3]
+         * @param {boolean} [opts.exportControllers=false] - Write pedal, controllers, pitch bend,
+         *   aftertouch and program changes instead of folding sustain into note lengths
+         * @param {number} [opts.quantizeGrid=0] - Export grid as a note division (16 = sixteenths), 0 = off
+         * @param {boolean} [opts.quantizeTriplets=false] - Use the triplet version of the grid
+         * @param {number} [opts.quantizeSwing=0] - 0-100, delays every other grid step up to a triplet feel
+         * @param {number} [opts.quantizeStrength=100] - 0-100, how far notes move towards the grid
+         * @param {boolean} [opts.quantizeLengths=false] - Snap note ends as well as starts
+         * @param {number} [opts.humanizeMs=0] - Random timing offset of up to ± this many ms
+         * @param {number} [opts.humanizeVelocity=0] - Random velocity offset of up to ± this much
+         * @param {"typed"|"detected"|"map"} [opts.exportTempo="typed"] - Export at the typed BPM, at
+         *   the take's detected tempo and downbeat, or with a tempo map that follows the playing
+         * @param {string} [opts.playbackOutput="synth"] - Play takes through "synth" or a TonikaMIDI output id
+         * @param {Object} [opts.synth] - Player with noteOn/noteOff (defaults to TonikaSynth.shared())
+         * @param {Object} [opts.keyboard] - Something with light(note, on), like a Clavonika,
+         *   to show the notes of a take as it plays
          */
         constructor(opts = {}) {
             this.settings = {
                 bufferMinutes: opts.bufferMinutes ?? 30,
+                historySessions: opts.historySessions ?? 20,
                 defaultBpm: opts.defaultBpm ?? DEFAULT_BPM,
                 groupByChannel: opts.groupByChannel ?? false,
                 mode: opts.mode ?? "card",
                 takeIdleSeconds: opts.takeIdleSeconds ?? 3,
+                exportControllers: opts.exportControllers ?? false,
+                quantizeGrid: opts.quantizeGrid ?? 0,
+                quantizeTriplets: opts.quantizeTriplets ?? false,
+                quantizeSwing: opts.quantizeSwing ?? 0,
+                quantizeStrength: opts.quantizeStrength ?? 100,
+                quantizeLengths: opts.quantizeLengths ?? false,
+                humanizeMs: opts.humanizeMs ?? 0,
+                humanizeVelocity: opts.humanizeVelocity ?? 0,
+                exportTempo: opts.exportTempo ?? "typed",
+                playbackOutput: opts.playbackOutput ?? "synth",
             };
 
             this._mount =
                 typeof opts.mount === "string"
                     ? document.querySelector(opts.mount)
                     : opts.mount;
-            this._midi = null;
+            this._midi = null; // TonikaMIDI hub once subscribed
             this._inputs = new Map();
 
             // Base timing: align performance.now() to wall clock so restored items line up
@@ -73,18 +350,41 @@
             this._pendingRelease = new Map(); // ch -> Set(keys)
 
             // Auto-take state
-            this._takes = []; // [{ startMs, endMs }]
+            this._takes = []; // [{ startMs, endMs, pinned }]
             this._currentTake = null; // { startMs, lastActivityMs }
             this._idleTimer = null; // inactivity timeout id
+            this._previewIndex = null; // take whose export preview is open
+            this._notesCache = new WeakMap(); // take -> notes as played
+            this._tempoCache = new WeakMap(); // take -> detectTempo() result
+
+            // Take playback
+            this._synth = opts.synth ?? null; // resolved on first play
+            this._keyboard = opts.keyboard ?? null;
+            this._midiOut = null; // TonikaMidiOut, created when a MIDI output is chosen
+            this._playback = null; // { index, player, events, next, sounding, startedAt, duration, timer }
 
             // Persistence debounce a handle
             this._persistTimer = null;
 
-            // Try to restore the previous state before we render
-            this._loadState();
+            // Session storage
+            this._db = null; // IDBDatabase once opened
+            this._sessionId = this._startEpoch;
+            this._sessionEnd = null; // epoch of the last stored event
+            this._storedEvents = 0; // events of this session written to storage
+            this._persistedCount = 0; // leading entries of _events already written
+            this._chunkSeq = 0; // number of the next chunk to write
+            this._loading = true; // restoring a session; saves wait until it is done
+            this._saving = false; // a write is in flight; the next one waits for it
+            this._saveQueued = false;
+            this._viewing = null; // past session opened from History: { record, startEpoch, events, takes }
+            this._historyOpen = false;
+
+            // Settings come back straight away; the capture itself loads from IndexedDB
+            this._loadSettings();
 
             this._renderUI();
             this._attachUIHandlers();
+            this._ready = this._loadState();
             void this._initMIDI();
             this._gcInterval = setInterval(() => {
                 this._gc();
@@ -93,7 +393,7 @@
             // Save on unload so we don't lose the last few seconds
             this._onBeforeUnload = () => {
                 try {
-                    this._saveState();
+                    this._saveState({ force: true });
                 } catch {}
                 this.destroy();
             };
@@ -101,13 +401,16 @@
         }
 
         destroy() {
+            this.stopPlayback();
+            this._midiOut?.destroy();
+            this._midiOut = null;
             if (this._onBeforeUnload) {
                 window.removeEventListener("beforeunload", this._onBeforeUnload);
                 this._onBeforeUnload = null;
             }
             if (this._midi) {
-                this._midi.onstatechange = null;
-                this._inputs.forEach((inp) => (inp.onmidimessage = null));
+                this._midi.removeEventListener("statechange", this._onHubStateChange);
+                this._midi.removeEventListener("message", this._onHubMessage);
                 this._midi = null;
             }
             if (this._idleTimer) {
@@ -119,6 +422,8 @@
                 this._persistTimer = null;
             }
             clearInterval(this._gcInterval);
+            this._db?.close();
+            this._db = null;
             this._teardownUI();
         }
 
@@ -132,111 +437,290 @@
             );
         }
 
-        _saveState() {
-            // Convert relative 't' to absolute epoch for storage
-            const toAbs = (rel) => this._startEpoch + rel;
-            const maxMs = this.settings.bufferMinutes * 60 * 1000;
-            const nowRel = ts() - this._start;
-            const cutoff = nowRel - maxMs;
-            const prunedEvents = this._events.filter(
-                (e) => e.t >= Math.max(0, cutoff),
-            );
+        /**
+         * Write events not yet stored as new chunks, and the session record.
+         * Counters only move on once the write commits, so a failed write is
+         * retried by the next one. One write is in flight at a time.
+         * @param {Object} [opts]
+         * @param {boolean} [opts.force=false] - Write even while another write is in
+         *   flight; only for a session that is ending (Clear, page unload). It rewrites
+         *   the in-flight chunks under the same keys, so nothing is stored twice.
+         */
+        _saveState({ force = false } = {}) {
+            try {
+                localStorage.setItem(SETTINGS_KEY, JSON.stringify(this.settings));
+            } catch {}
+            if (!this._db || this._loading) return; // it saves once the session is restored
+            if (this._saving && !force) {
+                this._saveQueued = true;
+                return;
+            }
 
-            const state = {
-                version: 2,
-                baseEpoch: this._startEpoch,
-                settings: this.settings,
-                events: prunedEvents.map((e) => {
-                    const { t, ...rest } = e;
-                    return { tAbs: Math.round(toAbs(t)), ...rest };
-                }),
-                takes: this._takes.map((tk) => ({
-                    startAbs: Math.round(toAbs(tk.startMs)),
-                    endAbs: tk.endMs != null ? Math.round(toAbs(tk.endMs)) : null,
-                })),
-                // Do not persist an in-flight take; it's safer to finalize on inactivity
+            const sessionId = this._sessionId;
+            const fresh = this._events.slice(this._persistedCount);
+            const storedEvents = this._storedEvents + fresh.length;
+            if (!storedEvents) return; // nothing played yet, keep History free of empty sessions
+            const sessionEnd = fresh.length
+                ? Math.round(this._startEpoch + fresh[fresh.length - 1].t)
+                : this._sessionEnd;
+
+            const toAbs = (e) => {
+                const { t, ...rest } = e;
+                return { tAbs: Math.round(this._startEpoch + t), ...rest };
             };
+            let seq = this._chunkSeq;
+            const chunks = [];
+            for (let i = 0; i < fresh.length; i += CHUNK_EVENTS) {
+                chunks.push({ sessionId, seq: seq++, events: fresh.slice(i, i + CHUNK_EVENTS).map(toAbs) });
+            }
+
+            let tx;
             try {
-                localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+                tx = this._db.transaction(["sessions", "chunks"], "readwrite");
+                chunks.forEach((chunk) => tx.objectStore("chunks").put(chunk));
+                tx.objectStore("sessions").put({
+                    ...this._sessionRecord(),
+                    endEpoch: sessionEnd ?? this._startEpoch,
+                    eventCount: storedEvents,
+                    chunkCount: seq,
+                });
             } catch (err) {
-                // If too large, drop the oldest half of events and try once more
+                this._status(`Could not save capture: ${err?.message ?? err}`);
+                return;
+            }
+
+            this._saving = true;
+            transactionDone(tx)
+                .then(
+                    () => {
+                        // Cleared meanwhile: this was the session's last write
+                        if (this._sessionId !== sessionId) return;
+                        this._persistedCount += fresh.length;
+                        this._chunkSeq = seq;
+                        this._storedEvents = storedEvents;
+                        this._sessionEnd = sessionEnd;
+                    },
+                    (err) => this._status(`Could not save capture, trying again with the next save: ${err?.message ?? err}`),
+                )
+                .finally(() => {
+                    this._saving = false;
+                    if (this._saveQueued) {
+                        this._saveQueued = false;
+                        this._saveState();
+                    }
+                });
+        }
+
+        _sessionRecord() {
+            return {
+                id: this._sessionId,
+                startEpoch: this._startEpoch,
+                endEpoch: this._sessionEnd ?? this._startEpoch,
+                eventCount: this._storedEvents,
+                chunkCount: this._chunkSeq,
+                takes: this._takes.map((tk) => this._storedTake(tk, this._startEpoch)),
+                // Do not persist an in-flight take; it's safer to finalize on inactivity
+            };
+        }
+
+        _storedTake(take, startEpoch) {
+            return {
+                startAbs: Math.round(startEpoch + take.startMs),
+                endAbs: Math.round(startEpoch + take.endMs),
+                pinned: !!take.pinned,
+            };
+        }
+
+        _loadSettings() {
+            // Before sessions moved to IndexedDB, settings were saved with the buffer
+            for (const key of [SETTINGS_KEY, LEGACY_STORAGE_KEY]) {
                 try {
-                    const trimmed = {
-                        ...state,
-                        events: state.events.slice(Math.floor(state.events.length / 2)),
-                    };
-                    localStorage.setItem(STORAGE_KEY, JSON.stringify(trimmed));
-                } catch {}
+                    const saved = JSON.parse(localStorage.getItem(key) ?? "null");
+                    const settings = key === SETTINGS_KEY ? saved : saved?.settings;
+                    if (settings && typeof settings === "object") {
+                        this.settings = { ...this.settings, ...settings };
+                        return;
+                    }
+                } catch {
+                    // ignore broken settings
+                }
             }
         }
 
-        _loadState() {
-            let raw = null;
+        async _loadState() {
+            this._db = await openSessionDB();
+            if (!this._db) {
+                this._loading = false;
+                this._status("IndexedDB unavailable: takes are kept only until the page closes");
+                return;
+            }
             try {
-                raw = localStorage.getItem(STORAGE_KEY);
-            } catch {}
-            if (!raw) return;
+                await this._migrateLegacyState();
+                const sessions = await this._listSessions();
+                // Pick the last session back up if it was still going within the buffer window
+                const latest = sessions[0];
+                const bufferMs = this.settings.bufferMinutes * 60 * 1000;
+                if (latest && Date.now() - latest.endEpoch < bufferMs) await this._resumeSession(latest);
+                await this._pruneSessions();
+            } catch (err) {
+                this._status(`Could not load sessions: ${err?.message ?? err}`);
+            }
+            // Anything caught while storage was opening
+            this._loading = false;
+            this._saveState();
+        }
 
+        // Move the old single localStorage blob into a stored session
+        async _migrateLegacyState() {
+            let state = null;
             try {
-                const state = JSON.parse(raw);
-                if (!state || typeof state !== "object") return;
-
-                const baseEpoch = Number.isFinite(state.baseEpoch)
-                    ? state.baseEpoch
-                    : Date.now();
-                // Re-anchor start/startEpoch so that new events align with restored ones
-                const nowPerf = ts();
-                const nowEpoch = Date.now();
-                this._startEpoch = baseEpoch;
-                this._start = nowPerf - (nowEpoch - this._startEpoch);
-
-                // Restore settings (keep constructor overrides)
-                if (state.settings && typeof state.settings === "object") {
-                    this.settings = { ...this.settings, ...state.settings };
+                state = JSON.parse(localStorage.getItem(LEGACY_STORAGE_KEY) ?? "null");
+            } catch {}
+            const events = Array.isArray(state?.events)
+                ? state.events.filter((e) => Number.isFinite(e?.tAbs))
+                : [];
+
+            if (events.length) {
+                const startEpoch = Number.isFinite(state.baseEpoch) ? state.baseEpoch : events[0].tAbs;
+                const takes = (Array.isArray(state.takes) ? state.takes : [])
+                    .filter((tk) => Number.isFinite(tk?.startAbs) && Number.isFinite(tk?.endAbs))
+                    .map((tk) => ({ startAbs: tk.startAbs, endAbs: tk.endAbs, pinned: false }));
+                const chunkCount = Math.ceil(events.length / CHUNK_EVENTS);
+
+                const tx = this._db.transaction(["sessions", "chunks"], "readwrite");
+                tx.objectStore("sessions").put({
+                    id: startEpoch,
+                    startEpoch,
+                    endEpoch: events[events.length - 1].tAbs,
+                    eventCount: events.length,
+                    chunkCount,
+                    takes,
+                });
+                for (let seq = 0; seq < chunkCount; seq++) {
+                    tx.objectStore("chunks").put({
+                        sessionId: startEpoch,
+                        seq,
+                        events: events.slice(seq * CHUNK_EVENTS, (seq + 1) * CHUNK_EVENTS),
+                    });
                 }
+                await transactionDone(tx);
+            }
+            try {
+                localStorage.removeItem(LEGACY_STORAGE_KEY);
+            } catch {}
+        }
 
-                // Restore events (to relative)
-                if (Array.isArray(state.events)) {
-                    this._events = state.events.map((e) => ({
-                        ...e,
-                        t: Math.max(0, (e.tAbs ?? 0) - this._startEpoch),
-                    }));
-                }
+        // Stored sessions, newest first
+        async _listSessions() {
+            if (!this._db) return [];
+            const tx = this._db.transaction("sessions", "readonly");
+            const sessions = await requestDone(tx.objectStore("sessions").getAll());
+            return sessions.sort((a, b) => b.startEpoch - a.startEpoch);
+        }
 
-                // Restore takes
-                if (Array.isArray(state.takes)) {
-                    this._takes = state.takes
-                        .map((tk) => ({
-                            startMs: Math.max(0, (tk.startAbs ?? 0) - this._startEpoch),
-                            endMs:
-                                tk.endAbs != null
-                                    ? Math.max(0, tk.endAbs - this._startEpoch)
-                                    : null,
-                        }))
-                        .filter((tk) => tk.endMs != null); // ignore any incomplete ones
-                }
-            } catch {
-                // ignore broken state
+        async _readSession(record) {
+            const tx = this._db.transaction("chunks", "readonly");
+            const chunks = await requestDone(tx.objectStore("chunks").getAll(sessionChunks(record.id)));
+            return {
+                startEpoch: record.startEpoch,
+                events: chunks.flatMap((c) => c.events).map(({ tAbs, ...rest }) => ({
+                    ...rest,
+                    t: Math.max(0, tAbs - record.startEpoch),
+                })),
+                takes: (record.takes ?? []).map((tk) => ({
+                    startMs: Math.max(0, tk.startAbs - record.startEpoch),
+                    endMs: Math.max(0, tk.endAbs - record.startEpoch),
+                    pinned: !!tk.pinned,
+                })),
+            };
+        }
+
+        // Continue recording into a stored session, keeping what was caught meanwhile
+        async _resumeSession(record) {
+            const stored = await this._readSession(record);
+
+            // Re-anchor start/startEpoch so that new events align with restored ones
+            const shift = this._startEpoch - record.startEpoch;
+            this._startEpoch = record.startEpoch;
+            this._start -= shift;
+            this._events.forEach((e) => (e.t += shift));
+            this._takes.forEach((tk) => {
+                tk.startMs += shift;
+                tk.endMs += shift;
+            });
+            if (this._currentTake) {
+                this._currentTake.startMs += shift;
+                this._currentTake.lastActivityMs += shift;
             }
+
+            this._takes = [...stored.takes, ...this._takes];
+            const keep = this._bufferFilter();
+            const restored = keep ? stored.events.filter(keep) : stored.events;
+            this._events = [...restored, ...this._events];
+            this._persistedCount = restored.length;
+
+            this._sessionId = record.id;
+            this._sessionEnd = record.endEpoch;
+            this._storedEvents = record.eventCount ?? stored.events.length;
+            this._chunkSeq = record.chunkCount ?? 0;
+            this._renderTakesList();
         }
 
-        _wipeState() {
-            try {
-                localStorage.removeItem(STORAGE_KEY);
-            } catch {}
+        // Drop the oldest sessions past the History limit, unless they have pinned takes
+        async _pruneSessions() {
+            const old = (await this._listSessions())
+                .filter((s) => s.id !== this._sessionId)
+                .slice(this.settings.historySessions)
+                .filter((s) => !s.takes?.some((tk) => tk.pinned));
+            for (const session of old) await this._deleteStoredSession(session.id);
+        }
+
+        async _deleteStoredSession(id) {
+            const tx = this._db.transaction(["sessions", "chunks"], "readwrite");
+            tx.objectStore("sessions").delete(id);
+            tx.objectStore("chunks").delete(sessionChunks(id));
+            await transactionDone(tx);
+        }
+
+        // Start recording into a fresh session; the previous one stays in History
+        _newSession() {
+            const nowPerf = ts();
+            const nowEpoch = Date.now();
+            this._startEpoch = nowEpoch;
+            this._start = nowPerf;
+            this._sessionId = nowEpoch;
+            this._sessionEnd = null;
+            this._storedEvents = 0;
+            this._persistedCount = 0;
+            this._chunkSeq = 0;
+            this._saveQueued = false;
+            if (this._db) this._pruneSessions().catch(() => {});
         }
 
         // --- MIDI ---------------------------------------------------------------
 
         async _initMIDI() {
+            const hub = globalThis.TonikaMIDI;
             if (!navigator.requestMIDIAccess) {
                 this._status(`Web MIDI not supported in this browser.`);
                 return;
             }
+            if (!hub) {
+                this._status(`TonikaMIDI not found. Load tonika-midi.js before Catchonika.`);
+                return;
+            }
             try {
-                this._midi = await navigator.requestMIDIAccess({ sysex: false });
-                this._midi.onstatechange = () => this._refreshInputs();
+                await hub.request();
+                this._midi = hub;
+                this._onHubStateChange = () => {
+                    this._refreshInputs();
+                    this._populatePlayOutputs();
+                };
+                this._onHubMessage = (msg) => this._onMIDIMessage(msg.input, msg);
+                hub.addEventListener("statechange", this._onHubStateChange);
+                hub.addEventListener("message", this._onHubMessage);
                 this._refreshInputs();
+                this._populatePlayOutputs();
                 this._status(`Catchonika: recording…`);
             } catch (err) {
                 this._status(`MIDI access failed: ${err?.message ?? err}`);
@@ -245,8 +729,8 @@
 
         _refreshInputs() {
             this._inputs.forEach((_, id) => this._inputs.delete(id));
-            for (const input of this._midi.inputs.values()) {
-                input.onmidimessage = (msg) => this._onMIDIMessage(input, msg);
+            // Messages come from the hub; this map only tracks what is connected
+            for (const { reference: input } of this._midi.getInputs()) {
                 this._inputs.set(input.id, input);
             }
             const names =
@@ -254,6 +738,16 @@
             this._status(`Inputs: ${names}`);
         }
 
+        /**
+         * Capture a message from a source Catchonika does not listen to itself,
+         * such as Jackonika's computer keyboard
+         * @param {number[]|Uint8Array} data - Raw MIDI bytes
+         * @param {{id: string, name: string}} source - Input the message came from
+         */
+        capture(data, source) {
+            this._onMIDIMessage(source, { data });
+        }
+
         _onMIDIMessage(input, message) {
             const data = message.data;
             if (!data || data.length < 1) return;
@@ -418,8 +912,15 @@
 
         // --- Auto-takes ----------------------------------------------------------
 
+        /**
+         * Download a take as a .mid file
+         * @param {number} index - Take number, from 0
+         * @param {Object} [opts] - bpm, label, and any _exportOptions() key to override
+         *   the export settings for this file
+         * @returns {Blob|undefined}
+         */
         saveTake(index, opts = {}) {
-            const take = this._takes?.[index];
+            const take = this._view().takes[index];
             if (!take) {
                 this._status(`No take #${index + 1}`);
                 return;
@@ -479,13 +980,24 @@
             if (!this._takesListEl) return;
 
             const rows = [];
+            const view = this._view();
 
             // Render completed takes
-            for (let i = 0; i < this._takes.length; i++) {
-                const take = this._takes[i];
-                const startedClock = this._fmtClock(this._startEpoch + take.startMs);
+            for (let i = 0; i < view.takes.length; i++) {
+                const take = view.takes[i];
+                const startedClock = this._fmtClock(view.startEpoch + take.startMs);
                 const length = take.endMs - take.startMs;
                 const durationSeconds = Math.max(0, Math.round(length / 1000));
+                const previewOpen = this._previewIndex === i;
+                const playing = this._playback?.index === i;
+                const notes = this._takeNotes(take);
+                const tempo = this._takeTempo(take);
+                const tempoHTML = tempo
+                    ? `<button class="catchonika__chip catchonika__tempo" data-action="use-tempo" data-index="${i}"
+                               title="Detected tempo, first downbeat ${((tempo.downbeat - take.startMs) / 1000).toFixed(2)} s in (${Math.round(tempo.confidence * 100)}% fit). Click to type it into BPM.">
+                           ≈ ${Math.round(tempo.bpm)} BPM
+                       </button>`
+                    : "";
 
                 rows.push(
                     `<div class="catchonika__take">
@@ -498,18 +1010,40 @@
                         </div>
                         <div class="catchonika__take-duration">
                             Duration: ${durationSeconds} seconds
+                            ${tempoHTML}
                         </div>
                         <div class="catchonika__take-actions">
+                            <button class="tonika-btn catchonika__pin ${take.pinned ? "catchonika__pin--on" : ""}" data-action="pin-take" data-index="${i}"
+                                    title="${take.pinned ? "Unpin" : "Pin: keep this take past the buffer limit and History cleanup"}" aria-pressed="${!!take.pinned}">
+                                ${take.pinned ? "★" : "☆"}
+                            </button>
+                            <button class="tonika-btn" data-action="${playing ? "stop-take" : "play-take"}" data-index="${i}"
+                                    title="${playing ? "Stop" : "Play this take"}" ${notes.length ? "" : "disabled"}>
+                                ${playing ? "Stop" : "Play"}
+                            </button>
+                            <button class="tonika-btn" data-action="preview-take" data-index="${i}" title="Preview with the export settings" aria-expanded="${previewOpen}">
+                                Preview
+                            </button>
                             <button class="tonika-btn tonika-btn--primary" data-action="save-take" data-index="${i}" title="Save as MIDI">
                                 Save
                             </button>
                         </div>
+                        <div class="catchonika__take-roll" data-index="${i}">
+                            ${this._rollSVG([{ notes, className: "catchonika__roll-note" }], {
+                                from: take.startMs,
+                                to: take.endMs,
+                                height: 36,
+                                label: `Take ${i + 1}: ${notes.length} notes`,
+                            })}
+                            ${playing ? `<div class="catchonika__playhead"></div>` : ""}
+                        </div>
+                        ${previewOpen ? this._previewHTML(take) : ""}
                     </div>`,
                 );
             }
 
             // Render current take (if recording)
-            if (this._currentTake) {
+            if (this._currentTake && !this._viewing) {
                 const startedClock = this._fmtClock(this._startEpoch + this._currentTake.startMs);
                 const length = this._currentTake.lastActivityMs - this._currentTake.startMs;
                 const durationSeconds = Math.max(0, Math.round(length / 1000));
@@ -533,14 +1067,255 @@
                 );
             }
 
+            const viewing = this._viewing
+                ? `<div class="catchonika__viewing">
+                       <span class="catchonika__label u-ellipsis">Session of ${this._fmtDate(view.startEpoch)}, ${this._fmtClock(view.startEpoch)}</span>
+                       <button class="tonika-btn" data-action="close-session">Back to live</button>
+                   </div>`
+                : "";
+
             // Set the content
             if (rows.length === 0) {
-                this._takesListEl.innerHTML = `
+                this._takesListEl.innerHTML = `${viewing}
                     <div class="catchonika__take-empty tonika-text-muted">
-                        No takes yet. Press sustain or just play to start a take.
+                        ${this._viewing ? "No takes in this session." : "No takes yet. Press sustain or just play to start a take."}
                     </div>`;
             } else {
-                this._takesListEl.innerHTML = `<div class="catchonika__take-list">${rows.join("")}</div>`;
+                this._takesListEl.innerHTML = `${viewing}<div class="catchonika__take-list">${rows.join("")}</div>`;
+            }
+        }
+
+        /**
+         * Mini piano-roll of a take as it will be exported: the notes as played are
+         * drawn faintly behind the quantized/humanized ones, over the export grid
+         */
+        _previewHTML(take) {
+            const typedBpm = parseFloat(this._bpmInput?.value) || this.settings.defaultBpm;
+            const { played, notesByTrack, bpm, anchor, options } = this._prepareExport(
+                take.startMs,
+                take.endMs,
+                typedBpm,
+            );
+            const before = [...played.values()].flat();
+            const after = [...notesByTrack.values()].flat();
+            if (!before.length) {
+                return `<div class="catchonika__preview tonika-text-muted">No notes in this take.</div>`;
+            }
+
+            let from = Infinity;
+            let to = -Infinity;
+            for (const n of [...before, ...after]) {
+                from = Math.min(from, n.startMs);
+                to = Math.max(to, n.endMs);
+            }
+
+            // Grid lines on the export grid, thinned out while they are too dense to read
+            let step = options.grid > 0 ? gridStepMs(bpm, options.grid, options.triplets) : 60000 / bpm;
+            while ((to - from) / step > ROLL_WIDTH / 4) step *= 2;
+            const grid = [];
+            for (let t = anchor + Math.ceil((from - anchor) / step) * step; t <= to; t += step) grid.push(t);
+
+            const roll = this._rollSVG(
+                [
+                    { notes: before, className: "catchonika__roll-note catchonika__roll-note--played" },
+                    { notes: after, className: "catchonika__roll-note" },
+                ],
+                { from, to, grid, label: `Preview of ${after.length} notes` },
+            );
+            return `
+                <div class="catchonika__preview">
+                    ${roll}
+                    <div class="catchonika__preview-meta tonika-text-muted">
+                        ${after.length} notes · ${Math.round(bpm)} BPM · ${this._describeExport(options)}
+                    </div>
+                </div>`;
+        }
+
+        /**
+         * SVG piano-roll of note layers, later layers drawn on top
+         * @param {{notes: Object[], className: string}[]} layers
+         * @param {Object} view
+         * @param {number} view.from - Time at the left edge
+         * @param {number} view.to - Time at the right edge
+         * @param {number[]} [view.grid] - Times to draw grid lines at
+         * @param {number} [view.height=72]
+         * @param {string} [view.label] - Accessible name
+         */
+        _rollSVG(layers, { from, to, grid = [], height = 72, label = "" }) {
+            let lo = 127;
+            let hi = 0;
+            for (const { notes } of layers) {
+                for (const n of notes) {
+                    lo = Math.min(lo, n.note);
+                    hi = Math.max(hi, n.note);
+                }
+            }
+            if (lo > hi) lo = hi = 60;
+
+            const span = Math.max(1, to - from);
+            const rowH = height / (hi - lo + 1);
+            const x = (ms) => (((ms - from) / span) * ROLL_WIDTH).toFixed(1);
+            const rect = (n, cls) =>
+                `<rect class="${cls}" x="${x(n.startMs)}" y="${((hi - n.note) * rowH).toFixed(1)}"
+                       width="${Math.max(1, ((n.endMs - n.startMs) / span) * ROLL_WIDTH).toFixed(1)}"
+                       height="${Math.max(1, rowH - 1).toFixed(1)}"></rect>`;
+            const line = (t) =>
+                `<line class="catchonika__roll-grid" x1="${x(t)}" x2="${x(t)}" y1="0" y2="${height}"></line>`;
+
+            return `
+                <svg class="catchonika__roll" viewBox="0 0 ${ROLL_WIDTH} ${height}" preserveAspectRatio="none"
+                     role="img" aria-label="${label}">
+                    ${grid.map(line).join("")}
+                    ${layers.map(({ notes, className }) => notes.map((n) => rect(n, className)).join("")).join("")}
+                </svg>`;
+        }
+
+        // The session the takes list shows: a past one opened from History, or the live one
+        _view() {
+            return this._viewing ?? { events: this._events, takes: this._takes, startEpoch: this._startEpoch };
+        }
+
+        // Notes of a finished take as played, worked out once
+        _takeNotes(take) {
+            if (!this._notesCache.has(take)) {
+                const events = this._view()
+                    .events.filter((e) => e.t >= take.startMs && e.t <= take.endMs)
+                    .sort((a, b) => a.t - b.t);
+                const byTrack = this._reconstructNotes(events, take.startMs, take.endMs);
+                const notes = [...byTrack.values()].flat().sort((a, b) => a.startMs - b.startMs);
+                this._notesCache.set(take, notes);
+            }
+            return this._notesCache.get(take);
+        }
+
+        // Detected tempo of a finished take, worked out once
+        _takeTempo(take) {
+            if (!take) return null;
+            if (!this._tempoCache.has(take)) this._tempoCache.set(take, detectTempo(this._takeNotes(take)));
+            return this._tempoCache.get(take);
+        }
+
+        // --- Take playback --------------------------------------------------------
+
+        /**
+         * Play a take through the chosen playback output, lighting its notes on the keyboard
+         * @param {number} index - Take number, from 0
+         */
+        playTake(index) {
+            const take = this._view().takes[index];
+            if (!take) return;
+            this.stopPlayback();
+
+            const player = this._playbackPlayer();
+            if (!player) {
+                this._status("Nothing to play through: load TonikaSynth or choose a MIDI output");
+                return;
+            }
+
+            const events = [];
+            for (const n of this._takeNotes(take)) {
+                events.push({ at: n.startMs - take.startMs, on: true, note: n.note, vel: n.vel });
+                events.push({ at: n.endMs - take.startMs, on: false, note: n.note });
+            }
+            // Note offs first, so a repeated note is released before it sounds again
+            events.sort((a, b) => a.at - b.at || a.on - b.on);
+
+            this._playback = {
+                index,
+                player,
+                events,
+                next: 0,
+                sounding: new Set(),
+                startedAt: ts(),
+                duration: take.endMs - take.startMs,
+                timer: setInterval(() => this._playbackTick(), PLAYBACK_TICK_MS),
+            };
+            this._renderTakesList();
+            this._playbackTick();
+            this._status(`Playing take ${index + 1}`);
+        }
+
+        /**
+         * Stop take playback and release its notes
+         */
+        stopPlayback() {
+            const pb = this._playback;
+            if (!pb) return;
+            clearInterval(pb.timer);
+            pb.sounding.forEach((note) => {
+                pb.player.noteOff(note);
+                this._keyboard?.light(note, false);
+            });
+            this._playback = null;
+            this._renderTakesList();
+        }
+
+        _playbackTick() {
+            const pb = this._playback;
+            if (!pb) return;
+            const elapsed = ts() - pb.startedAt;
+
+            while (pb.next < pb.events.length && pb.events[pb.next].at <= elapsed) {
+                const e = pb.events[pb.next++];
+                if (e.on) {
+                    pb.player.noteOn(e.note, e.vel);
+                    pb.sounding.add(e.note);
+                } else {
+                    pb.player.noteOff(e.note);
+                    pb.sounding.delete(e.note);
+                }
+                this._keyboard?.light(e.note, e.on);
+            }
+
+            const head = this._takesListEl?.querySelector(
+                `.catchonika__take-roll[data-index="${pb.index}"] .catchonika__playhead`,
+            );
+            if (head) head.style.left = `${clamp(elapsed / pb.duration, 0, 1) * 100}%`;
+
+            if (elapsed >= pb.duration) {
+                this.stopPlayback();
+                this._status(`Take ${pb.index + 1} finished`);
+            }
+        }
+
+        _playbackPlayer() {
+            const outputId = this.settings.playbackOutput;
+            if (outputId === "synth") {
+                this._synth ??= globalThis.TonikaSynth?.shared() ?? null;
+                return this._synth;
+            }
+            if (!globalThis.TonikaMidiOut) return null;
+            if (this._midiOut) this._midiOut.setOutput(outputId);
+            else this._midiOut = new TonikaMidiOut({ outputId });
+            return this._midiOut;
+        }
+
+        _populatePlayOutputs() {
+            const select = this._mount?.querySelector(".catchonika__play-output");
+            if (!select) return;
+            const outputs = this._midi?.getOutputs() ?? [];
+            const current = this.settings.playbackOutput;
+            select.replaceChildren(
+                ...[{ id: "synth", name: "Synth" }, ...outputs].map((o) => {
+                    const option = document.createElement("option");
+                    option.value = o.id;
+                    option.textContent = o.name;
+                    option.selected = o.id === current;
+                    return option;
+                }),
+            );
+        }
+
+        _fmtDate(epochMs) {
+            try {
+                return new Date(epochMs).toLocaleDateString([], {
+                    weekday: "short",
+                    day: "numeric",
+                    month: "short",
+                    year: "numeric",
+                });
+            } catch {
+                return "";
             }
         }
 
@@ -556,23 +1331,21 @@
             }
         }
 
-        _saveRange(startMs, endMs, { bpm, label } = {}) {
+        _saveRange(startMs, endMs, { bpm, label, ...overrides } = {}) {
             const bpmToUse = Number.isFinite(bpm) ? bpm : this.settings.defaultBpm;
-            const events = this._events
-                .filter((e) => e.t >= startMs && e.t <= endMs)
-                .sort((a, b) => a.t - b.t);
-
-            const notesByTrack = self._reconstructNotes
-                ? self._reconstructNotes(events, startMs, endMs)
-                : this._reconstructNotes(events, startMs, endMs);
-            const writer = this._buildMidi(notesByTrack, bpmToUse);
+            const prepared = this._prepareExport(startMs, endMs, bpmToUse, overrides);
+            const writer = this._buildMidi(prepared.notesByTrack, prepared.bpm, {
+                controllers: prepared.controllersByTrack,
+                origin: prepared.origin,
+                tempoMap: prepared.tempoMap,
+            });
 
             const file = writer.buildFile();
             const blob = new Blob([file], { type: "audio/midi" });
             const url = URL.createObjectURL(blob);
 
             const stamp = new Date().toISOString().replace(/[:.]/g, "-");
-            const fname = `catchonika-${label}-${Math.round(bpmToUse)}bpm-${stamp}.mid`;
+            const fname = `catchonika-${label}-${Math.round(prepared.bpm)}bpm-${stamp}.mid`;
 
             const a = document.createElement("a");
             a.href = url;
@@ -586,7 +1359,196 @@
             return blob;
         }
 
-        _reconstructNotes(events, windowStart, windowEnd) {
+        // --- Export shaping -----------------------------------------------------
+
+        /**
+         * Export settings, with per-call overrides
+         * @param {Object} [overrides] - Any of the keys below
+         * @returns {{controllers: boolean, grid: number, triplets: boolean, swing: number,
+         *   strength: number, lengths: boolean, humanizeMs: number, humanizeVelocity: number,
+         *   tempo: "typed"|"detected"|"map"}}
+         */
+        _exportOptions(overrides = {}) {
+            const s = this.settings;
+            return {
+                controllers: s.exportControllers,
+                grid: s.quantizeGrid,
+                triplets: s.quantizeTriplets,
+                swing: s.quantizeSwing,
+                strength: s.quantizeStrength,
+                lengths: s.quantizeLengths,
+                humanizeMs: s.humanizeMs,
+                humanizeVelocity: s.humanizeVelocity,
+                tempo: s.exportTempo,
+                ...overrides,
+            };
+        }
+
+        _describeExport(o = this._exportOptions()) {
+            const parts = [];
+            if (o.tempo === "detected") parts.push("detected tempo");
+            if (o.tempo === "map") parts.push("tempo map");
+            if (o.grid > 0) {
+                parts.push(`1/${o.grid}${o.triplets ? "T" : ""} grid`);
+                if (o.swing > 0 && !o.triplets) parts.push(`swing ${o.swing}%`);
+                if (o.strength < 100) parts.push(`strength ${o.strength}%`);
+                parts.push(o.lengths ? "starts + lengths" : "starts only");
+            }
+            if (o.humanizeMs > 0) parts.push(`humanize ±${o.humanizeMs} ms`);
+            if (o.humanizeVelocity > 0) parts.push(`velocity ±${o.humanizeVelocity}`);
+            parts.push(o.controllers ? "controllers" : "sustain in note lengths");
+            return parts.join(", ");
+        }
+
+        /**
+         * Notes and controllers for a range, shaped by the export options
+         * @returns {{played: Map, notesByTrack: Map, controllersByTrack: Map, bpm: number,
+         *   tempoMap: {ms: number, bpm: number}[]|null, anchor: number, origin: number, options: Object}}
+         *   played holds the notes before quantizing; origin is the time written at tick 0.
+         *   With a tempo map, times are warped onto a steady beat and the map restores them.
+         */
+        _prepareExport(startMs, endMs, bpm, overrides = {}) {
+            const o = this._exportOptions(overrides);
+            const events = this._view()
+                .events.filter((e) => e.t >= startMs && e.t <= endMs)
+                .sort((a, b) => a.t - b.t);
+
+            // With the pedal written out, notes end where the keys were released
+            const reconstructOpts = { sustain: !o.controllers };
+            let played = self._reconstructNotes
+                ? self._reconstructNotes(events, startMs, endMs, reconstructOpts)
+                : this._reconstructNotes(events, startMs, endMs, reconstructOpts);
+            let controllersByTrack = o.controllers
+                ? this._collectControllers(startMs, endMs)
+                : new Map();
+
+            let tempo = null;
+            if (o.tempo === "detected" || o.tempo === "map") {
+                tempo = detectTempo([...played.values()].flat());
+            }
+            let tempoMap = null;
+            if (tempo) {
+                bpm = tempo.bpm;
+                if (o.tempo === "map") {
+                    const beatMs = 60000 / bpm;
+                    const bar0 = tempo.beats.indexOf(tempo.downbeat);
+                    const warp = (ms) => tempo.downbeat + (beatPosition(tempo.beats, ms) - bar0) * beatMs;
+                    played = new Map(
+                        [...played].map(([k, notes]) => [
+                            k,
+                            notes.map((n) => ({ ...n, startMs: warp(n.startMs), endMs: warp(n.endMs) })),
+                        ]),
+                    );
+                    controllersByTrack = new Map(
+                        [...controllersByTrack].map(([k, ctrls]) => [
+                            k,
+                            ctrls.map((c) => (c.t === null ? c : { ...c, t: warp(c.t) })),
+                        ]),
+                    );
+                    tempoMap = tempo.beats.slice(0, -1).map((b, k) => ({
+                        ms: tempo.downbeat + (k - bar0) * beatMs,
+                        bpm: 60000 / (tempo.beats[k + 1] - b),
+                    }));
+                }
+            }
+
+            // The grid starts at the first note (or the downbeat); the file starts at the earliest event
+            let anchor = Infinity;
+            for (const notes of played.values()) {
+                if (notes.length) anchor = Math.min(anchor, notes[0].startMs);
+            }
+            let earliest = anchor;
+            for (const ctrls of controllersByTrack.values()) {
+                for (const c of ctrls) if (c.t !== null) earliest = Math.min(earliest, c.t);
+            }
+            if (!Number.isFinite(earliest)) earliest = startMs;
+            if (tempo) anchor = tempo.downbeat;
+            if (!Number.isFinite(anchor)) anchor = earliest;
+            earliest = Math.min(earliest, anchor);
+
+            let origin = earliest;
+            if (tempo) {
+                // Open the file on a bar line so the downbeat starts a bar; a pickup gets bar 1
+                const barMs = (60000 / bpm) * BEATS_PER_BAR;
+                origin = anchor - Math.ceil((anchor - earliest) / barMs) * barMs;
+            } else if (o.grid > 0) {
+                // Start the file a whole number of beats early so the grid meets the DAW's
+                const beatMs = 60000 / bpm;
+                origin = anchor - Math.ceil((anchor - earliest) / beatMs) * beatMs;
+            }
+
+            const notesByTrack = this._shapeNotes(played, anchor, bpm, o, Math.round(startMs));
+            return { played, notesByTrack, controllersByTrack, bpm, tempoMap, anchor, origin, options: o };
+        }
+
+        /**
+         * Quantize and humanize notes. Humanize is seeded so a take always comes out
+         * the same way, in the preview and in the file.
+         * @param {Map<string, Object[]>} notesByTrack - From _reconstructNotes
+         * @param {number} anchor - Time of the first grid line
+         * @param {number} bpm
+         * @param {Object} o - From _exportOptions
+         * @param {number} seed
+         * @returns {Map<string, Object[]>} New notes; the input is left untouched
+         */
+        _shapeNotes(notesByTrack, anchor, bpm, o, seed) {
+            const quantize = o.grid > 0 && o.strength > 0;
+            if (!quantize && !(o.humanizeMs > 0) && !(o.humanizeVelocity > 0)) {
+                return notesByTrack;
+            }
+
+            const step = quantize ? gridStepMs(bpm, o.grid, o.triplets) : 0;
+            // Swing delays odd steps, up to a third of a step (a triplet feel) at 100%
+            const swingMs = o.triplets ? 0 : (clamp(o.swing, 0, 100) / 100) * (step / 3);
+            const strength = clamp(o.strength, 0, 100) / 100;
+            const snap = (ms) => {
+                const i = Math.round((ms - anchor) / step);
+                let target = ms;
+                let best = Infinity;
+                for (let k = i - 1; k <= i + 1; k++) {
+                    const at = anchor + k * step + (Math.abs(k) % 2 === 1 ? swingMs : 0);
+                    if (Math.abs(at - ms) < best) {
+                        best = Math.abs(at - ms);
+                        target = at;
+                    }
+                }
+                return ms + (target - ms) * strength;
+            };
+            const random = seededRandom(seed);
+            const jitter = (range) => (random() * 2 - 1) * (range > 0 ? range : 0);
+
+            const shaped = new Map();
+            for (const [trackKey, notes] of notesByTrack) {
+                const out = notes.map((n) => {
+                    const length = n.endMs - n.startMs;
+                    let startMs = n.startMs;
+                    let endMs = n.endMs;
+                    if (quantize) {
+                        startMs = snap(n.startMs);
+                        endMs = o.lengths ? snap(n.endMs) : startMs + length;
+                        // A short note can snap its end onto its start; keep what was played
+                        if (endMs <= startMs) endMs = startMs + length;
+                    }
+                    const shift = jitter(o.humanizeMs);
+                    const vel = clamp(Math.round(n.vel + jitter(o.humanizeVelocity)), 1, 127);
+                    return { ...n, startMs: startMs + shift, endMs: endMs + shift, vel };
+                });
+                out.sort((a, b) => a.startMs - b.startMs);
+                shaped.set(trackKey, out);
+            }
+            return shaped;
+        }
+
+        /**
+         * Turn captured note events into notes per track
+         * @param {Object[]} events - Captured events in time order
+         * @param {number} windowStart
+         * @param {number} windowEnd
+         * @param {Object} [opts]
+         * @param {boolean} [opts.sustain=true] - Hold released notes until the pedal lifts
+         * @returns {Map<string, Object[]>} trackKey -> [{ ch, note, startMs, endMs, vel }]
+         */
+        _reconstructNotes(events, windowStart, windowEnd, { sustain: applySustain = true } = {}) {
             const active = new Map();
             const sustain = new Map();
             const pending = new Map(); // ch -> Set(keys)
@@ -605,11 +1567,9 @@
                 if (endMs > startMs) notes.push({ ch, note, startMs, endMs, vel });
             };
 
-            const trackKeyFor = (ch) =>
-                this.settings.groupByChannel ? `ch-${ch}` : `main`;
-
             for (const e of events) {
                 if (e.type === "cc" && e.cc === 64) {
+                    if (!applySustain) continue;
                     const down = e.val >= 64;
                     const was = sustain.get(e.ch) === true;
                     sustain.set(e.ch, down);
@@ -661,7 +1621,7 @@
 
             const byTrack = new Map();
             for (const n of notes) {
-                const k = trackKeyFor(n.ch);
+                const k = this._trackKey(n.ch);
                 if (!byTrack.has(k)) byTrack.set(k, []);
                 byTrack.get(k).push(n);
             }
@@ -670,80 +1630,341 @@
             return byTrack;
         }
 
-        _buildMidi(notesByTrack, bpm) {
+        _trackKey(ch) {
+            return this.settings.groupByChannel ? `ch-${ch}` : `main`;
+        }
+
+        /**
+         * Controller, pitch bend, aftertouch and program change messages in a window,
+         * grouped into the same tracks as the notes. Each channel's last controller
+         * values, program and bend from before the window come first with t = null,
+         * so the take opens in the state it was played in.
+         * @returns {Map<string, Object[]>} trackKey -> [{ t, ch, bytes }]
+         */
+        _collectControllers(windowStart, windowEnd) {
+            const carried = new Map(); // "ch:status:controller" -> { ch, bytes }
+            const inWindow = [];
+
+            for (const e of this._view().events) {
+                if (e.t > windowEnd) continue;
+                const bytes = controllerBytes(e);
+                if (!bytes) continue;
+                if (e.t >= windowStart) {
+                    inWindow.push({ t: e.t, ch: e.ch, bytes });
+                    continue;
+                }
+                const kind = bytes[0] & 0xf0;
+                // Aftertouch and channel mode messages (CC 120+) describe moments, not state
+                if (kind === 0xb0 && bytes[1] < 120) {
+                    carried.set(`${e.ch}:${kind}:${bytes[1]}`, { t: null, ch: e.ch, bytes });
+                } else if (kind === 0xc0 || kind === 0xe0) {
+                    carried.set(`${e.ch}:${kind}`, { t: null, ch: e.ch, bytes });
+                }
+            }
+            inWindow.sort((a, b) => a.t - b.t);
+
+            const byTrack = new Map();
+            for (const c of [...carried.values(), ...inWindow]) {
+                const k = this._trackKey(c.ch);
+                if (!byTrack.has(k)) byTrack.set(k, []);
+                byTrack.get(k).push(c);
+            }
+            return byTrack;
+        }
+
+        /**
+         * @param {Map<string, Object[]>} notesByTrack
+         * @param {number} bpm
+         * @param {Object} [opts]
+         * @param {Map<string, Object[]>} [opts.controllers] - From _collectControllers
+         * @param {number} [opts.origin] - Time written at tick 0 (defaults to the earliest event)
+         * @param {{ms: number, bpm: number}[]} [opts.tempoMap] - Tempo changes, written to the first track
+         */
+        _buildMidi(
+            notesByTrack,
+            bpm,
+            { controllers: controllersByTrack = new Map(), origin, tempoMap = null } = {},
+        ) {
             const MidiWriter = globalThis.MidiWriter ? globalThis.MidiWriter : null;
             if (!MidiWriter) {
                 throw new Error("MidiWriterJS not found. Load it before Catchonika.");
             }
 
-            const tracks = [];
-            // Compute a global earliest note start across all tracks to preserve alignment
-            let _t0Global = Infinity;
-            for (const [, _notes] of notesByTrack.entries()) {
-                if (_notes && _notes.length) {
-                    const first = _notes[0].startMs;
-                    if (first < _t0Global) _t0Global = first;
+            // Compute a global earliest start across all tracks to preserve alignment
+            let _t0Global = Number.isFinite(origin) ? origin : Infinity;
+            if (!Number.isFinite(origin)) {
+                for (const notes of notesByTrack.values()) {
+                    if (notes.length && notes[0].startMs < _t0Global) _t0Global = notes[0].startMs;
+                }
+                for (const ctrls of controllersByTrack.values()) {
+                    for (const c of ctrls) {
+                        if (c.t !== null && c.t < _t0Global) _t0Global = c.t;
+                    }
                 }
             }
             if (!Number.isFinite(_t0Global)) _t0Global = 0;
+            const tickAt = (ms) => Math.max(0, Math.round(((ms - _t0Global) / 60000) * bpm * PPQ));
+
+            // MidiWriter only places NoteEvents at explicit ticks, so each track is
+            // written as one stream of pre-encoded messages with their own deltas
+            const rawEvent = (delta, bytes) => ({
+                name: "CatchonikaRawEvent",
+                delta,
+                data: MidiWriter.Utils.numberToVariableLength(delta).concat(bytes),
+            });
+            // At the same tick: tempo, note offs, then controllers, then note ons
+            const TEMPO = -1;
+            const OFF = 0;
+            const CTRL = 1;
+            const ON = 2;
+
+            // The tempo in force at tick 0, then each change after it
+            let startBpm = tempoMap?.length ? tempoMap[0].bpm : bpm;
+            const tempoChanges = [];
+            for (const change of tempoMap ?? []) {
+                if (tickAt(change.ms) > 0) tempoChanges.push(change);
+                else startBpm = change.bpm;
+            }
 
-            for (const [trackKey, notes] of notesByTrack.entries()) {
+            const tracks = [];
+            const trackKeys = new Set([...notesByTrack.keys(), ...controllersByTrack.keys()]);
+            for (const trackKey of trackKeys) {
                 const track = new MidiWriter.Track();
-                track.setTempo(bpm, 0);
+                track.setTempo(startBpm, 0);
                 track.setTimeSignature(4, 4, 24, 8);
                 track.addTrackName(`Catchonika ${trackKey}`);
 
-                if (!notes.length) {
-                    tracks.push(track);
-                    continue;
+                const timeline = [];
+                // Zero-base against the global earliest start to preserve inter-track alignment
+                for (const n of notesByTrack.get(trackKey) ?? []) {
+                    const startTick = tickAt(n.startMs);
+                    const endTick = Math.max(startTick + 1, tickAt(n.endMs));
+                    const status = n.ch - 1;
+                    timeline.push(
+                        { tick: startTick, order: ON, bytes: [0x90 | status, n.note, clamp(n.vel, 1, 127)] },
+                        { tick: endTick, order: OFF, bytes: [0x80 | status, n.note, 0] },
+                    );
+                }
+                for (const c of controllersByTrack.get(trackKey) ?? []) {
+                    const tick = c.t === null ? 0 : tickAt(c.t);
+                    timeline.push({ tick, order: CTRL, bytes: c.bytes });
+                }
+                if (tracks.length === 0) {
+                    for (const change of tempoChanges) {
+                        timeline.push({ tick: tickAt(change.ms), order: TEMPO, bytes: tempoBytes(change.bpm) });
+                    }
                 }
+                timeline.sort((a, b) => a.tick - b.tick || a.order - b.order);
 
-                // Zero-base against the global earliest start to preserve inter-track alignment
-                for (const n of notes) {
-                    const startTick = msToTicks(n.startMs - _t0Global, bpm, PPQ);
-                    const durTick = msToTicks(n.endMs - n.startMs, bpm, PPQ);
-                    const velocity01_100 = clamp(Math.round((n.vel / 127) * 100), 1, 100);
-
-                    const evt = new MidiWriter.NoteEvent({
-                        pitch: [midiNoteToName(n.note)],
-                        duration: `T${durTick}`,
-                        velocity: velocity01_100,
-                        channel: n.ch,
-                        tick: startTick,
-                    });
-                    track.addEvent(evt, undefined);
+                let lastTick = 0;
+                for (const item of timeline) {
+                    track.addEvent(rawEvent(item.tick - lastTick, item.bytes));
+                    lastTick = item.tick;
                 }
                 tracks.push(track);
             }
             return new MidiWriter.Writer(tracks, {});
         }
 
+        // --- Pinned takes and History ----------------------------------------------
+
+        /**
+         * Pin or unpin a take. Pinned takes stay in memory past bufferMinutes, and
+         * their session is never removed from History automatically.
+         * @param {number} index - Take number, from 0
+         * @param {boolean} [pinned] - Defaults to toggling
+         */
+        pinTake(index, pinned) {
+            const take = this._view().takes[index];
+            if (!take) return;
+            take.pinned = pinned ?? !take.pinned;
+            if (this._viewing) {
+                this._storeViewedTakes().catch((err) => this._status(`Could not save pin: ${err?.message ?? err}`));
+            } else {
+                this._saveState();
+            }
+            this._renderTakesList();
+            if (this._historyOpen) void this._renderHistory();
+            this._status(`Take ${index + 1} ${take.pinned ? "pinned" : "unpinned"}`);
+        }
+
+        /**
+         * Show a stored session's takes for playing and saving; recording carries on meanwhile
+         * @param {number} id - Session id, as listed in History
+         */
+        async openSession(id) {
+            if (id === this._sessionId) {
+                this.closeSession();
+                return;
+            }
+            if (!this._db) return;
+            let record;
+            let stored;
+            try {
+                const tx = this._db.transaction("sessions", "readonly");
+                record = await requestDone(tx.objectStore("sessions").get(id));
+                stored = record && (await this._readSession(record));
+            } catch (err) {
+                this._status(`Could not open session: ${err?.message ?? err}`);
+                return;
+            }
+            if (!record) {
+                this._status("Session not found");
+                return;
+            }
+
+            this.stopPlayback();
+            this._viewing = { record, ...stored };
+            this._previewIndex = null;
+            this._renderTakesList();
+            if (this._historyOpen) void this._renderHistory();
+            this._status(
+                `Opened session of ${this._fmtDate(record.startEpoch)}, ${this._fmtClock(record.startEpoch)}: ` +
+                    `${stored.takes.length} takes`,
+            );
+        }
+
+        /**
+         * Go back to the takes being recorded now
+         */
+        closeSession() {
+            if (!this._viewing) return;
+            this.stopPlayback();
+            this._viewing = null;
+            this._previewIndex = null;
+            this._renderTakesList();
+            if (this._historyOpen) void this._renderHistory();
+            this._status("Back to the live session");
+        }
+
+        /**
+         * Remove a past session and its capture from storage
+         * @param {number} id - Session id, as listed in History
+         */
+        async deleteSession(id) {
+            if (id === this._sessionId) {
+                this._status("That session is still recording: Clear starts a new one");
+                return;
+            }
+            if (!this._db) return;
+            try {
+                await this._deleteStoredSession(id);
+            } catch (err) {
+                this._status(`Could not delete session: ${err?.message ?? err}`);
+                return;
+            }
+            if (this._viewing?.record.id === id) this.closeSession();
+            if (this._historyOpen) await this._renderHistory();
+            this._status("Session deleted");
+        }
+
+        async _storeViewedTakes() {
+            const { record, takes, startEpoch } = this._viewing;
+            record.takes = takes.map((tk) => this._storedTake(tk, startEpoch));
+            const tx = this._db.transaction("sessions", "readwrite");
+            tx.objectStore("sessions").put(record);
+            await transactionDone(tx);
+        }
+
+        _toggleHistory() {
+            this._historyOpen = !this._historyOpen;
+            this._mount
+                ?.querySelector('[data-action="toggle-history"]')
+                ?.setAttribute("aria-expanded", String(this._historyOpen));
+            void this._renderHistory();
+        }
+
+        // Stored sessions grouped by day, newest first
+        async _renderHistory() {
+            const el = this._mount?.querySelector(".catchonika__history");
+            if (!el) return;
+            el.hidden = !this._historyOpen;
+            if (!this._historyOpen) return;
+
+            const sessions = await this._listSessions().catch(() => []);
+            if (!sessions.length) {
+                el.innerHTML = `<div class="catchonika__take-empty tonika-text-muted">
+                    ${this._db ? "No sessions stored yet." : "IndexedDB is unavailable, so sessions are not stored."}
+                </div>`;
+                return;
+            }
+
+            const rows = [];
+            let day = null;
+            for (const session of sessions) {
+                const date = this._fmtDate(session.startEpoch);
+                if (date !== day) {
+                    rows.push(`<div class="catchonika__history-day tonika-text-muted">${date}</div>`);
+                    day = date;
+                }
+                const live = session.id === this._sessionId;
+                const open = this._viewing ? this._viewing.record.id === session.id : live;
+                const takes = session.takes?.length ?? 0;
+                const pinned = session.takes?.filter((tk) => tk.pinned).length ?? 0;
+                rows.push(
+                    `<div class="catchonika__session ${open ? "catchonika__session--open" : ""}">
+                        <span class="catchonika__label">
+                            ${this._fmtClock(session.startEpoch)} – ${this._fmtClock(session.endEpoch)}
+                        </span>
+                        <span class="tonika-text-muted u-ellipsis">
+                            ${takes} ${takes === 1 ? "take" : "takes"}${pinned ? ` · ★ ${pinned}` : ""}${live ? " · recording" : ""}
+                        </span>
+                        <button class="tonika-btn" data-action="open-session" data-id="${session.id}" ${open ? "disabled" : ""}>
+                            ${live ? "Live" : "Open"}
+                        </button>
+                        <button class="tonika-btn" data-action="delete-session" data-id="${session.id}" ${live ? "disabled" : ""}
+                                title="${pinned ? "Has pinned takes. " : ""}Delete this session">
+                            Delete
+                        </button>
+                    </div>`,
+                );
+            }
+            el.innerHTML = rows.join("");
+        }
+
         // --- Buffer hygiene ------------------------------------------------------
 
         _gc() {
-            const maxMs = this.settings.bufferMinutes * 60 * 1000;
-            const cutoff = ts() - this._start - maxMs;
-            if (cutoff <= 0) return;
-            this._events = this._events.filter((e) => e.t >= cutoff);
-            this._schedulePersist();
+            const keep = this._bufferFilter();
+            if (!keep) return;
+            // Storage keeps the whole session; this only trims memory, and only
+            // of events already stored (unsaved ones sit after _persistedCount)
+            const stored = this._db ? this._persistedCount : this._events.length;
+            let persisted = 0;
+            this._events = this._events.filter((e, i) => {
+                if (i >= stored) return true;
+                if (!keep(e)) return false;
+                persisted++;
+                return true;
+            });
+            if (this._db) this._persistedCount = persisted;
+        }
+
+        // Which events stay in memory: the last bufferMinutes, plus anything in a pinned take
+        _bufferFilter() {
+            const cutoff = ts() - this._start - this.settings.bufferMinutes * 60 * 1000;
+            if (cutoff <= 0) return null;
+            const pinned = this._takes.filter((tk) => tk.pinned);
+            return (e) => e.t >= cutoff || pinned.some((tk) => e.t >= tk.startMs && e.t <= tk.endMs);
         }
 
         clear() {
+            this.stopPlayback();
+            // The cleared session stays in History, with the take in progress finished
+            this._endTake();
+            const hadSession = this._storedEvents > 0 || this._events.length > 0;
+            this._saveState({ force: true });
+
             this._events.length = 0;
             this._active.clear();
             this._sustain.clear();
             this._pendingRelease.clear();
-
-            if (this._idleTimer) {
-                clearTimeout(this._idleTimer);
-                this._idleTimer = null;
-            }
-            this._currentTake = null;
             this._takes = [];
+            this._previewIndex = null;
+            this._newSession();
             this._renderTakesList();
-
-            this._wipeState();
-            this._status("Cleared buffer.");
+            if (this._historyOpen) void this._renderHistory();
+            this._status(hadSession ? "Cleared buffer. The session is still in History." : "Cleared buffer.");
         }
 
         // --- UI ------------------------------------------------------------------
@@ -774,7 +1995,9 @@
             if (this._idleInput)
                 this._idleInput.value = String(this.settings.takeIdleSeconds);
             this._takesListEl = this._mount.querySelector(".catchonika__takes");
+            this._populatePlayOutputs();
             this._renderTakesList();
+            void this._renderHistory();
         }
 
         _teardownUI() {
@@ -794,6 +2017,17 @@
         }
 
         _uiHTML() {
+            const s = this.settings;
+            const grids = [
+                [0, "Off"],
+                [4, "1/4"],
+                [8, "1/8"],
+                [16, "1/16"],
+                [32, "1/32"],
+            ]
+                .map(([v, name]) => `<option value="${v}" ${v === s.quantizeGrid ? "selected" : ""}>${name}</option>`)
+                .join("");
+
             return `
                 <div class="catchonika__header">
                     <div class="catchonika__controls">
@@ -803,9 +2037,58 @@
                         <input class="tonika-input catchonika__bpm" type="number" min="30" max="300" step="1" value="${this.settings.defaultBpm}">
                         <span class="tonika-text-muted" title="Seconds of no MIDI activity to end a take">Idle s</span>
                         <input class="tonika-input catchonika__number" type="number" min="1" max="30" step="0.5" value="${this.settings.takeIdleSeconds}">
+                        <span class="tonika-text-muted">Play via</span>
+                        <select class="tonika-select catchonika__select catchonika__play-output" title="Where takes play"></select>
                     </div>
-                    <button class="tonika-btn" data-action="clear" title="Clear buffer">Clear</button>
+                    <div class="catchonika__controls">
+                        <button class="tonika-btn" data-action="toggle-history" aria-expanded="${this._historyOpen}" title="Past sessions">History</button>
+                        <button class="tonika-btn" data-action="clear" title="Clear buffer and start a new session">Clear</button>
+                    </div>
+                </div>
+                <div class="catchonika__export">
+                    <span class="tonika-text-muted">Export</span>
+                    <label class="catchonika__option" title="Write pedal, mod wheel, expression, pitch bend, aftertouch and program changes as played, instead of folding sustain into note lengths">
+                        <input type="checkbox" data-export="exportControllers" ${s.exportControllers ? "checked" : ""}>
+                        Controllers
+                    </label>
+                    <label class="catchonika__option" title="Detected tempo moves the first downbeat onto bar 1; a tempo map also follows speed changes so every beat lands on the grid">
+                        Tempo
+                        <select class="tonika-select catchonika__select" data-export="exportTempo">
+                            <option value="typed" ${s.exportTempo === "typed" ? "selected" : ""}>Typed BPM</option>
+                            <option value="detected" ${s.exportTempo === "detected" ? "selected" : ""}>Detected</option>
+                            <option value="map" ${s.exportTempo === "map" ? "selected" : ""}>Tempo map</option>
+                        </select>
+                    </label>
+                    <label class="catchonika__option">
+                        Quantize
+                        <select class="tonika-select catchonika__select" data-export="quantizeGrid">${grids}</select>
+                    </label>
+                    <label class="catchonika__option">
+                        <input type="checkbox" data-export="quantizeTriplets" ${s.quantizeTriplets ? "checked" : ""}>
+                        Triplets
+                    </label>
+                    <label class="catchonika__option" title="Delay every other grid step, up to a triplet feel at 100%">
+                        Swing %
+                        <input class="tonika-input catchonika__small" type="number" min="0" max="100" step="1" data-export="quantizeSwing" value="${s.quantizeSwing}">
+                    </label>
+                    <label class="catchonika__option" title="How far notes move towards the grid">
+                        Strength %
+                        <input class="tonika-input catchonika__small" type="number" min="0" max="100" step="5" data-export="quantizeStrength" value="${s.quantizeStrength}">
+                    </label>
+                    <select class="tonika-select catchonika__select" data-export="quantizeLengths" title="What the grid moves">
+                        <option value="false" ${s.quantizeLengths ? "" : "selected"}>Starts</option>
+                        <option value="true" ${s.quantizeLengths ? "selected" : ""}>Starts + lengths</option>
+                    </select>
+                    <label class="catchonika__option" title="Random timing offset, applied after quantizing">
+                        Humanize ms
+                        <input class="tonika-input catchonika__small" type="number" min="0" max="100" step="1" data-export="humanizeMs" value="${s.humanizeMs}">
+                    </label>
+                    <label class="catchonika__option" title="Random velocity offset">
+                        Vel ±
+                        <input class="tonika-input catchonika__small" type="number" min="0" max="64" step="1" data-export="humanizeVelocity" value="${s.humanizeVelocity}">
+                    </label>
                 </div>
+                <div class="catchonika__history" ${this._historyOpen ? "" : "hidden"}></div>
                 <div class="catchonika__takes"></div>
                 <div class="catchonika__footer">
                     <div class="catchonika__status tonika-text-muted" aria-live="polite">Ready.</div>
@@ -821,12 +2104,37 @@
                 const bpm =
                     parseFloat(this._bpmInput.value) || this.settings.defaultBpm;
                 if (btn.dataset.action === "clear") this.clear();
+                if (btn.dataset.action === "toggle-history") this._toggleHistory();
+                if (btn.dataset.action === "open-session") void this.openSession(Number(btn.dataset.id));
+                if (btn.dataset.action === "close-session") this.closeSession();
+                if (btn.dataset.action === "delete-session") void this.deleteSession(Number(btn.dataset.id));
+                if (btn.dataset.action === "pin-take") this.pinTake(parseInt(btn.dataset.index, 10));
+                if (btn.dataset.action === "play-take") this.playTake(parseInt(btn.dataset.index, 10));
+                if (btn.dataset.action === "stop-take") this.stopPlayback();
+                if (btn.dataset.action === "use-tempo") {
+                    const tempo = this._takeTempo(this._view().takes[parseInt(btn.dataset.index, 10)]);
+                    if (tempo) {
+                        this._bpmInput.value = String(Math.round(tempo.bpm));
+                        if (this._previewIndex !== null) this._renderTakesList();
+                        this._status(`BPM set to ${Math.round(tempo.bpm)} from the take`);
+                    }
+                }
+                if (btn.dataset.action === "preview-take") {
+                    const idx = parseInt(btn.dataset.index, 10);
+                    this._previewIndex = this._previewIndex === idx ? null : idx;
+                    this._renderTakesList();
+                }
                 if (btn.dataset.action === "save-take") {
                     const idx = parseInt(btn.dataset.index, 10);
                     if (Number.isInteger(idx)) this.saveTake(idx, { bpm });
                 }
             });
 
+            // Outputs plugged in after MIDI access was granted show up on the next look
+            this._mount.addEventListener("focusin", (e) => {
+                if (e.target.classList?.contains("catchonika__play-output")) this._populatePlayOutputs();
+            });
+
             this._mount.addEventListener("change", (e) => {
                 if (e.target && e.target.classList.contains("catchonika__number")) {
                     const v = parseFloat(e.target.value);
@@ -837,9 +2145,40 @@
                         this._status(`Auto-take idle: ${this.settings.takeIdleSeconds}s`);
                     }
                 }
+                if (e.target && e.target.dataset.export) {
+                    this._setExportOption(e.target.dataset.export, e.target);
+                }
+                if (e.target && e.target.classList.contains("catchonika__play-output")) {
+                    this.stopPlayback();
+                    this.settings.playbackOutput = e.target.value;
+                    this._schedulePersist();
+                    this._status(`Takes play through ${e.target.selectedOptions[0]?.textContent ?? "synth"}`);
+                }
+                if (e.target && e.target.classList.contains("catchonika__bpm")) {
+                    // The preview is drawn against the BPM grid
+                    if (this._previewIndex !== null) this._renderTakesList();
+                }
             });
         }
 
+        _setExportOption(key, input) {
+            let value;
+            if (input.type === "checkbox") value = input.checked;
+            else if (input.value === "true" || input.value === "false") value = input.value === "true";
+            else if (typeof this.settings[key] === "string") value = input.value;
+            else {
+                value = parseFloat(input.value);
+                if (!Number.isFinite(value) || value < 0) {
+                    input.value = String(this.settings[key]);
+                    return;
+                }
+            }
+            this.settings[key] = value;
+            this._schedulePersist();
+            if (this._previewIndex !== null) this._renderTakesList();
+            this._status(`Export: ${this._describeExport()}`);
+        }
+
         _status(text) {
             if (this._statusEl) this._statusEl.textContent = text;
         }
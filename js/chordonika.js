@@ -1,19 +1,47 @@
 // Chordonika Module — Chord Selection and Keyboard Visualization
 // A Tonika module for interactive chord selection with visual keyboard feedback
-// v1.0.2 — Fixed keyboard rendering and highlighting
+// v1.9.0 — MIDI input through the shared TonikaMIDI hub
 
 (() => {
+    // MidiWriterJS writes 128 ticks per quarter note
+    const PPQ = 128;
+
+    // Widest keyboard the visualizer will grow to (C2-B6)
+    const KEYBOARD_MIN_MIDI = 36;
+    const KEYBOARD_MAX_MIDI = 95;
+
+    const clamp = (n, min, max) => Math.max(min, Math.min(max, n));
+
+    // Chords can come in through the public API, so their text is escaped before it meets innerHTML
+    const escapeHTML = (text) => String(text).replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+
     class Chordonika {
         /**
          * @param {Object} opts
          * @param {HTMLElement|string} [opts.mount] - Element to mount the module in
          * @param {"card"|"floating"} [opts.mode="card"] - Display mode
          * @param {Function} [opts.onChordSelected] - Callback when chord is selected
+         * @param {boolean} [opts.listenMIDI=false] - Recognize chords from Web MIDI input directly
+         * @param {number} [opts.tempo=100] - Progression playback tempo in BPM
+         * @param {number} [opts.defaultBeats=4] - Length of newly added progression slots
+         * @param {Function} [opts.onProgressionChange] - Callback with the progression whenever it is edited
+         * @param {Function} [opts.onProgressionStep] - Callback (slot, index) as playback reaches each slot
+         * @param {Object} [opts.synth] - Player with noteOn/noteOff/playChord (defaults to TonikaSynth.shared())
+         * @param {boolean} [opts.soundOnSelect=false] - Sound chords as they are picked and as the progression plays
+         * @param {Object} [opts.midiOut] - TonikaMidiOut; picked chords and progression playback are sent to it
          */
         constructor(opts = {}) {
             this.settings = {
                 mode: opts.mode ?? "card",
                 onChordSelected: opts.onChordSelected ?? null,
+                listenMIDI: opts.listenMIDI ?? false,
+                tempo: opts.tempo ?? 100,
+                defaultBeats: opts.defaultBeats ?? 4,
+                onProgressionChange: opts.onProgressionChange ?? null,
+                onProgressionStep: opts.onProgressionStep ?? null,
+                synth: opts.synth ?? null,
+                soundOnSelect: opts.soundOnSelect ?? false,
+                midiOut: opts.midiOut ?? null,
             };
 
             this._mount =
@@ -23,8 +51,29 @@
 // Initialize chord data
             this._initChordData();
 
+            // Live recognition state
+            this._heldNotes = new Set(); // MIDI note numbers currently held
+            this._recognizedSymbol = null; // last symbol reported from held notes
+            this._midi = null; // TonikaMIDI hub once subscribed
+
+            // Last successfully parsed typed symbol, re-voiced on inversion/voicing changes
+            this._parsedSymbol = null;
+
+            // Chord currently shown, whichever way it was chosen
+            this._currentChord = null;
+
+            // Progression strip
+            this._progression = []; // [{ id, chord, beats }]
+            this._nextSlotId = 1;
+            this._playback = null; // { index, timer } while looping
+
+            // Visible keyboard, widened on demand for extended voicings
+            this._keyboardRange = { startOctave: 3, octaves: 2 };
+
             this._renderUI();
             this._attachUIHandlers();
+
+            if (this.settings.listenMIDI) void this._initMIDI();
         }
 // === CHORD DATA INITIALIZATION ==========================================
         _initChordData() {
@@ -46,6 +95,20 @@
                     { value: "B",  label: "B"      },
                 ],
 
+                inversions: [
+                    { value: 0, label: "Root position" },
+                    { value: 1, label: "1st inversion" },
+                    { value: 2, label: "2nd inversion" },
+                    { value: 3, label: "3rd inversion" },
+                ],
+
+                voicings: {
+                    close:  { name: "close",  label: "Close"          },
+                    drop2:  { name: "drop2",  label: "Open (Drop 2)"  },
+                    drop3:  { name: "drop3",  label: "Drop 3"         },
+                    spread: { name: "spread", label: "Spread"         },
+                },
+
                 chordQualities: {
                     major: {
                         name: "major",
@@ -124,13 +187,198 @@
                         intervals: [0, 5, 7],
                         priority: 2,
                     },
-                }
+                    power: {
+                        name: "power",
+                        label: "Power Chord",
+                        symbol: "5",
+                        intervals: [0, 7],
+                        priority: 2,
+                    },
+                    sixth: {
+                        name: "sixth",
+                        label: "Major 6th",
+                        symbol: "6",
+                        intervals: [0, 4, 7, 9],
+                        priority: 2,
+                    },
+                    minor6: {
+                        name: "minor6",
+                        label: "Minor 6th",
+                        symbol: "m6",
+                        intervals: [0, 3, 7, 9],
+                        priority: 2,
+                    },
+                    add9: {
+                        name: "add9",
+                        label: "Add 9",
+                        symbol: "add9",
+                        intervals: [0, 4, 7, 14],
+                        priority: 3,
+                    },
+                    sixNine: {
+                        name: "sixNine",
+                        label: "6/9",
+                        symbol: "6/9",
+                        intervals: [0, 4, 7, 9, 14],
+                        priority: 3,
+                    },
+                    minorSixNine: {
+                        name: "minorSixNine",
+                        label: "Minor 6/9",
+                        symbol: "m6/9",
+                        intervals: [0, 3, 7, 9, 14],
+                        priority: 3,
+                    },
+                    dominant7sus4: {
+                        name: "dominant7sus4",
+                        label: "Dominant 7th sus4",
+                        symbol: "7sus4",
+                        intervals: [0, 5, 7, 10],
+                        priority: 3,
+                    },
+                    minorMajor7: {
+                        name: "minorMajor7",
+                        label: "Minor Major 7th",
+                        symbol: "mMaj7",
+                        intervals: [0, 3, 7, 11],
+                        priority: 3,
+                    },
+                    dominant9: {
+                        name: "dominant9",
+                        label: "Dominant 9th",
+                        symbol: "9",
+                        intervals: [0, 4, 7, 10, 14],
+                        priority: 3,
+                    },
+                    major9: {
+                        name: "major9",
+                        label: "Major 9th",
+                        symbol: "maj9",
+                        intervals: [0, 4, 7, 11, 14],
+                        priority: 3,
+                    },
+                    minor9: {
+                        name: "minor9",
+                        label: "Minor 9th",
+                        symbol: "m9",
+                        intervals: [0, 3, 7, 10, 14],
+                        priority: 3,
+                    },
+                    dominant9sus4: {
+                        name: "dominant9sus4",
+                        label: "Dominant 9th sus4",
+                        symbol: "9sus4",
+                        intervals: [0, 5, 7, 10, 14],
+                        priority: 4,
+                    },
+                    dominant11: {
+                        name: "dominant11",
+                        label: "Dominant 11th",
+                        symbol: "11",
+                        intervals: [0, 4, 7, 10, 14, 17],
+                        priority: 4,
+                    },
+                    dominant13: {
+                        name: "dominant13",
+                        label: "Dominant 13th",
+                        symbol: "13",
+                        intervals: [0, 4, 7, 10, 14, 21],
+                        priority: 4,
+                    },
+                    dominant7b9: {
+                        name: "dominant7b9",
+                        label: "Dominant 7th ♭9",
+                        symbol: "7b9",
+                        intervals: [0, 4, 7, 10, 13],
+                        priority: 4,
+                    },
+                    dominant7s9: {
+                        name: "dominant7s9",
+                        label: "Dominant 7th ♯9",
+                        symbol: "7#9",
+                        intervals: [0, 4, 7, 10, 15],
+                        priority: 4,
+                    },
+                    dominant7s11: {
+                        name: "dominant7s11",
+                        label: "Dominant 7th ♯11",
+                        symbol: "7#11",
+                        intervals: [0, 4, 7, 10, 18],
+                        priority: 4,
+                    },
+                    dominant7b13: {
+                        name: "dominant7b13",
+                        label: "Dominant 7th ♭13",
+                        symbol: "7b13",
+                        intervals: [0, 4, 7, 10, 20],
+                        priority: 4,
+                    },
+                    altered: {
+                        name: "altered",
+                        label: "Altered Dominant",
+                        symbol: "7alt",
+                        intervals: [0, 4, 10, 13, 15, 18, 20],
+                        priority: 5,
+                    },
+                },
+
+                // Alternative spellings accepted by the symbol parser, on top of
+                // each quality's own symbol
+                qualityAliases: {
+                    "": "major", "maj": "major", "M": "major",
+                    "min": "minor", "-": "minor",
+                    "dim": "diminished", "o": "diminished",
+                    "aug": "augmented", "#5": "augmented",
+                    "M7": "major7", "ma7": "major7", "Δ": "major7", "Δ7": "major7",
+                    "min7": "minor7", "-7": "minor7",
+                    "dom7": "dominant7",
+                    "dim7": "diminished7", "o7": "diminished7",
+                    "m7b5": "halfDiminished7", "min7b5": "halfDiminished7", "-7b5": "halfDiminished7", "ø": "halfDiminished7",
+                    "sus": "sus4",
+                    "add2": "add9",
+                    "69": "sixNine", "6add9": "sixNine",
+                    "m69": "minorSixNine", "m6add9": "minorSixNine", "-69": "minorSixNine",
+                    "9sus": "dominant9sus4",
+                    "min6": "minor6", "-6": "minor6",
+                    "7sus": "dominant7sus4",
+                    "mM7": "minorMajor7", "m(maj7)": "minorMajor7", "mmaj7": "minorMajor7", "minmaj7": "minorMajor7", "-maj7": "minorMajor7", "mΔ7": "minorMajor7",
+                    "M9": "major9", "Δ9": "major9",
+                    "min9": "minor9", "-9": "minor9",
+                    "alt": "altered",
+                },
+
+                // Tensions/alterations that may follow a quality, e.g. C7(b9,#11).
+                // "replaces" names the natural degree an alteration stands in for.
+                extensions: {
+                    "b5":    { interval: 6,  replaces: 7  },
+                    "#5":    { interval: 8,  replaces: 7  },
+                    "6":     { interval: 9 },
+                    "b9":    { interval: 13, replaces: 14 },
+                    "9":     { interval: 14 },
+                    "#9":    { interval: 15, replaces: 14 },
+                    "11":    { interval: 17 },
+                    "#11":   { interval: 18, replaces: 17 },
+                    "b13":   { interval: 20, replaces: 21 },
+                    "13":    { interval: 21 },
+                    "add2":  { interval: 2 },
+                    "add4":  { interval: 5 },
+                    "add9":  { interval: 14 },
+                    "add11": { interval: 17 },
+                    "add13": { interval: 21 },
+                },
             };
         }
 
         // === CHORD CALCULATION ==============================================
 
-        _calculateChord(rootNote, qualityName) {
+        _calculateChord(rootNote, qualityName, {
+            inversion = 0,
+            voicing = "close",
+            bass = null,
+            extensions = [],
+            rootLabel = null,
+            bassLabel = null,
+        } = {}) {
             if (!rootNote || !qualityName) return null;
 
             const quality = this.chordData.chordQualities[qualityName];
@@ -139,50 +387,385 @@
             const rootIndex = this.chordData.noteNames.indexOf(rootNote);
             if (rootIndex === -1) return null;
 
-            const notes = quality.intervals.map(interval => {
+            const intervals = this._applyExtensions(quality.intervals, extensions);
+
+            const notes = intervals.map(interval => {
                 const noteIndex = (rootIndex + interval) % 12;
                 return this.chordData.noteNames[noteIndex];
             });
 
-            const symbol = rootNote + quality.symbol;
+            // An explicit slash bass that is a chord tone is just an inversion
+            let safeInversion = Math.max(0, Math.min(inversion, intervals.length - 1));
+            let extraBass = null;
+            if (bass) {
+                const bassIndex = notes.indexOf(bass);
+                if (bassIndex !== -1) {
+                    safeInversion = bassIndex;
+                } else if (this.chordData.noteNames.includes(bass)) {
+                    safeInversion = 0;
+                    extraBass = bass;
+                }
+            }
+            const safeVoicing = this.chordData.voicings[voicing] ? voicing : "close";
+            const chordBass = extraBass ?? notes[safeInversion];
+
+            let voiced = this._voiceChord(rootIndex, intervals, safeInversion, safeVoicing);
+            if (extraBass) {
+                // Non-chord-tone bass goes underneath the whole voicing
+                let bassMidi = 48 + this.chordData.noteNames.indexOf(extraBass);
+                while (bassMidi >= voiced[0]) bassMidi -= 12;
+                voiced = [bassMidi, ...voiced];
+            }
+            const midiNotes = this._findOptimalOctave(voiced);
+
+            const extensionText = extensions.length ? `(${extensions.join(",")})` : "";
+            const slash = chordBass !== rootNote ? `/${bassLabel ?? chordBass}` : "";
+            const symbol = (rootLabel ?? rootNote) + quality.symbol + extensionText + slash;
 
             return {
                 root: rootNote,
                 quality: qualityName,
                 symbol: symbol,
                 notes: notes,
-                intervals: quality.intervals
+                intervals: intervals,
+                bass: chordBass,
+                inversion: safeInversion,
+                voicing: safeVoicing,
+                extensions: [...extensions],
+                midiNotes: midiNotes,
             };
         }
 
-        _findOptimalOctave(notes) {
-            // Find the best octave to display the chord (C3-B4 range)
-            const baseOctave = 3;
-            const keyboardRange = { min: 36, max: 71 }; // C3 to B4 in MIDI
+        _applyExtensions(baseIntervals, extensions) {
+            let intervals = [...baseIntervals];
+            extensions.forEach(name => {
+                const extension = this.chordData.extensions[name];
+                if (!extension) return;
+                if (extension.replaces !== undefined) {
+                    intervals = intervals.filter(i => i !== extension.replaces);
+                }
+                if (!intervals.some(i => i % 12 === extension.interval % 12)) {
+                    intervals.push(extension.interval);
+                }
+            });
+            return intervals.sort((a, b) => a - b);
+        }
 
-            for (let octave = baseOctave; octave <= 4; octave++) {
-                const midiNotes = notes.map(note => {
-                    const noteIndex = this.chordData.noteNames.indexOf(note);
-                    return (octave * 12) + noteIndex + 12; // +12 for C0 = 12
-                });
+        _voiceChord(rootIndex, intervals, inversion, voicing) {
+            // Close position from C3, rotated so the chosen chord tone is in the bass
+            const rootMidi = 48 + rootIndex;
+            let voiced = intervals.map(interval => rootMidi + interval);
+            for (let i = 0; i < inversion; i++) {
+                voiced.push(voiced.shift() + 12);
+            }
+            const bassPc = voiced[0] % 12;
+
+            if (voicing === "drop2" && voiced.length >= 3) {
+                voiced = this._dropVoice(voiced, 2);
+            } else if (voicing === "drop3" && voiced.length >= 4) {
+                voiced = this._dropVoice(voiced, 3);
+            } else if (voicing === "spread") {
+                // Bass an octave down, every other upper voice an octave up
+                const [low, ...upper] = voiced;
+                voiced = [low - 12, ...upper.map((n, i) => (i % 2 === 1 ? n + 12 : n))];
+            }
+
+            // Whatever the voicing, the inversion decides the lowest voice
+            voiced.sort((a, b) => a - b);
+            const bassIndex = voiced.findIndex(n => n % 12 === bassPc);
+            if (bassIndex > 0) {
+                let bassNote = voiced.splice(bassIndex, 1)[0];
+                while (bassNote > voiced[0]) bassNote -= 12;
+                voiced.unshift(bassNote);
+            }
+
+            return voiced;
+        }
+
+        _dropVoice(voiced, fromTop) {
+            // Drop the Nth voice from the top by an octave
+            const sorted = [...voiced].sort((a, b) => a - b);
+            const index = sorted.length - fromTop;
+            sorted[index] -= 12;
+            return sorted.sort((a, b) => a - b);
+        }
+
+        _findOptimalOctave(midiNotes) {
+            // Shift the voicing by whole octaves so it sits on the C3-B4 keyboard
+            const keyboardRange = { min: 48, max: 71 }; // C3 to B4 in MIDI
+            if (midiNotes.length === 0) return [];
 
-                if (midiNotes.every(midi => midi >= keyboardRange.min && midi <= keyboardRange.max)) {
-                    return midiNotes;
+            const lowest = Math.min(...midiNotes);
+            const highest = Math.max(...midiNotes);
+
+            for (let shift = -48; shift <= 48; shift += 12) {
+                if (lowest + shift >= keyboardRange.min && highest + shift <= keyboardRange.max) {
+                    return midiNotes.map(n => n + shift);
                 }
             }
 
-            // Fallback: use octave 3
-            return notes.map(note => {
-                const noteIndex = this.chordData.noteNames.indexOf(note);
-                return (3 * 12) + noteIndex + 12;
-            });
+            // Too wide for two octaves: keep the bass in octave 3 and let the
+            // keyboard grow upwards, dropping an octave if it would run off the top
+            let shift = 0;
+            while (lowest + shift < keyboardRange.min) shift += 12;
+            while (lowest + shift - 12 >= keyboardRange.min) shift -= 12;
+            while (highest + shift > KEYBOARD_MAX_MIDI && lowest + shift - 12 >= KEYBOARD_MIN_MIDI) {
+                shift -= 12;
+            }
+            return midiNotes.map(n => n + shift);
+        }
+
+        // === CHORD SYMBOL PARSING ===========================================
+
+        _parseChordSymbol(text) {
+            const input = String(text ?? "")
+                .trim()
+                .replace(/♭/g, "b")
+                .replace(/♯/g, "#")
+                .replace(/\s+/g, "");
+            if (!input) return { error: "Enter a chord symbol, e.g. F#m7b5/E" };
+
+            const rootMatch = /^([A-Ga-g])([#b]?)/.exec(input);
+            if (!rootMatch) {
+                return { error: `"${input}" must start with a note name (A–G)` };
+            }
+            const root = this._noteNameToSharp(rootMatch[1], rootMatch[2]);
+            const rootLabel = rootMatch[1].toUpperCase() + rootMatch[2];
+            let rest = input.slice(rootMatch[0].length);
+
+            // Slash bass, e.g. "/E" or "/Bb"
+            let bass = null;
+            let bassLabel = null;
+            const slashMatch = /\/([A-Ga-g])([#b]?)$/.exec(rest);
+            if (slashMatch) {
+                bass = this._noteNameToSharp(slashMatch[1], slashMatch[2]);
+                bassLabel = slashMatch[1].toUpperCase() + slashMatch[2];
+                rest = rest.slice(0, slashMatch.index);
+            } else if (rest.replace("6/9", "").includes("/")) {
+                return { error: `Bass note after "/" in "${input}" is not a note name` };
+            }
+
+            // Longest quality spelling wins, so "m7b5" beats "m7" + "b5"
+            const qualityText = rest;
+            const aliases = this._qualityAliasList();
+            const exact = aliases.find(([alias]) => alias === rest);
+            const prefix = exact ?? aliases.find(([alias]) => alias && rest.startsWith(alias));
+            let quality = "major";
+            if (prefix) {
+                quality = prefix[1];
+                rest = rest.slice(prefix[0].length);
+            }
+
+            // Whatever is left must be tensions, bare or in parentheses
+            const extensions = [];
+            let tail = rest.replace(/[(),]/g, "");
+            const extensionNames = Object.keys(this.chordData.extensions)
+                .sort((a, b) => b.length - a.length);
+            while (tail) {
+                const match = extensionNames.find(name => tail.startsWith(name));
+                if (!match) {
+                    return { error: `Unrecognized chord quality "${qualityText}" in "${input}"` };
+                }
+                extensions.push(match);
+                tail = tail.slice(match.length);
+            }
+
+            // Fold tensions back into a named quality when one matches, e.g. 7 + #9
+            const folded = this._foldExtensions(quality, extensions);
+
+            return {
+                root,
+                rootLabel,
+                quality: folded.quality,
+                extensions: folded.extensions,
+                bass,
+                bassLabel,
+            };
+        }
+
+        _qualityAliasList() {
+            const aliases = Object.values(this.chordData.chordQualities)
+                .map(quality => [quality.symbol, quality.name]);
+            Object.entries(this.chordData.qualityAliases)
+                .forEach(([alias, name]) => aliases.push([alias, name]));
+            return aliases.sort((a, b) => b[0].length - a[0].length);
+        }
+
+        _foldExtensions(qualityName, extensions) {
+            // Without a 7th in the quality, a bare tension is an added note:
+            // C(9) is Cadd9 and Cm(9) is Cm(add9), not C9 / Cm9
+            const quality = this.chordData.chordQualities[qualityName];
+            const hasSeventh = quality.intervals.some(i => i === 10 || i === 11);
+            if (hasSeventh && extensions.length) {
+                // A seventh chord with tensions folds into the quality spelling the same notes, e.g. 7(9) is 9
+                const key = list => [...list].sort((a, b) => a - b).join(",");
+                const target = key(this._applyExtensions(quality.intervals, extensions));
+                const same = Object.values(this.chordData.chordQualities)
+                    .find(q => key(q.intervals) === target);
+                return same
+                    ? { quality: same.name, extensions: [] }
+                    : { quality: qualityName, extensions };
+            }
+            if (!hasSeventh) {
+                extensions = extensions.map(name =>
+                    this.chordData.extensions[`add${name}`] ? `add${name}` : name);
+            }
+            if (extensions.length !== 1) return { quality: qualityName, extensions };
+
+            const combined = this.chordData.chordQualities[qualityName].symbol + extensions[0];
+            const match = this._qualityAliasList().find(([alias]) => alias === combined);
+            return match
+                ? { quality: match[1], extensions: [] }
+                : { quality: qualityName, extensions };
+        }
+
+        _noteNameToSharp(letter, accidental) {
+            const index = this.chordData.noteNames.indexOf(letter.toUpperCase());
+            const offset = accidental === "#" ? 1 : accidental === "b" ? -1 : 0;
+            return this.chordData.noteNames[(index + offset + 12) % 12];
+        }
+
+        // === CHORD RECOGNITION ==============================================
+
+        _identifyChord(midiNotes) {
+            const notes = [...new Set(midiNotes)]
+                .filter(n => Number.isInteger(n))
+                .sort((a, b) => a - b);
+            if (notes.length === 0) return null;
+
+            // Two pitch classes are enough for a power chord
+            const pitchClasses = [...new Set(notes.map(n => n % 12))];
+            if (pitchClasses.length < 2) return null;
+
+            const bassPc = notes[0] % 12;
+            let best = null;
+
+            // Try every held pitch class as a root and look for a quality whose
+            // interval set matches exactly; root-position readings win ties
+            for (const rootPc of pitchClasses) {
+                const relative = new Set(pitchClasses.map(pc => (pc - rootPc + 12) % 12));
+
+                for (const [qualityName, quality] of Object.entries(this.chordData.chordQualities)) {
+                    const qualitySet = new Set(quality.intervals.map(i => i % 12));
+                    if (qualitySet.size !== relative.size) continue;
+                    if (![...qualitySet].every(i => relative.has(i))) continue;
+
+                    const score = quality.priority + (rootPc === bassPc ? 0 : 10);
+                    if (!best || score < best.score) {
+                        best = { score, rootPc, qualityName };
+                    }
+                }
+            }
+            if (!best) return null;
+
+            const root = this.chordData.noteNames[best.rootPc];
+            const chord = this._calculateChord(root, best.qualityName);
+            if (!chord) return null;
+
+            const bass = this.chordData.noteNames[bassPc];
+            const bassInterval = (bassPc - best.rootPc + 12) % 12;
+            const inversion = chord.intervals.findIndex(i => i % 12 === bassInterval);
+
+            return {
+                ...chord,
+                symbol: bass === root ? chord.symbol : `${chord.symbol}/${bass}`,
+                bass: bass,
+                inversion: Math.max(0, inversion),
+                voicing: null,
+                midiNotes: notes,
+            };
+        }
+
+        _recognizeHeldNotes() {
+            const held = [...this._heldNotes];
+
+            // Releasing every key keeps the last chord on screen
+            if (held.length === 0) return;
+
+            const chord = this._identifyChord(held);
+            if (!chord) {
+                this._updateHeldDisplay(held);
+                return;
+            }
+
+            this._parsedSymbol = null;
+            this._currentChord = chord;
+            this._syncDropdowns(chord);
+            this._updateChordDisplay(chord);
+            this._highlightChordNotes(chord);
+
+            if (chord.symbol !== this._recognizedSymbol) {
+                this._recognizedSymbol = chord.symbol;
+                if (this.settings.onChordSelected) {
+                    this.settings.onChordSelected(chord);
+                }
+            }
+        }
+
+        _updateHeldDisplay(midiNotes) {
+            const sorted = [...midiNotes].sort((a, b) => a - b);
+            const symbolEl = this._mount?.querySelector('.chordonika__chord-symbol');
+            const notesEl = this._mount?.querySelector('.chordonika__chord-notes');
+
+            if (symbolEl) symbolEl.textContent = "";
+            if (notesEl) {
+                notesEl.textContent = sorted
+                    .map(n => this.chordData.noteNames[n % 12])
+                    .join(' - ');
+            }
+
+            this._clearHighlights();
+            this._showMidiNotes(sorted);
+        }
+
+        _syncDropdowns(chord) {
+            const rootSelect = this._mount?.querySelector('#chordonika-root-select');
+            const qualitySelect = this._mount?.querySelector('#chordonika-quality-select');
+
+            const inversionSelect = this._mount?.querySelector('#chordonika-inversion-select');
+
+            if (rootSelect) rootSelect.value = chord.root;
+            if (qualitySelect) qualitySelect.value = chord.quality;
+            this._updateInversionOptions(chord.quality);
+            if (inversionSelect) inversionSelect.value = String(chord.inversion);
+        }
+
+        // === MIDI INPUT =====================================================
+
+        async _initMIDI() {
+            const hub = globalThis.TonikaMIDI;
+            if (!hub) {
+                console.warn("Chordonika: TonikaMIDI not found. Load tonika-midi.js before Chordonika.");
+                return;
+            }
+            try {
+                await hub.request();
+                // Every input is fanned out by the hub, hot-plugged ones included
+                this._midi = hub;
+                this._onHubMessage = (msg) => this._onMIDIMessage(msg);
+                hub.addEventListener("message", this._onHubMessage);
+            } catch (err) {
+                console.warn("Chordonika: MIDI access failed:", err);
+            }
+        }
+
+        _onMIDIMessage({ data }) {
+            if (!data || data.length < 3) return;
+            const [status, note, velocity] = data;
+            const type = status & 0xf0;
+
+            if (type === 0x90 && velocity > 0) {
+                this.noteOn(note, velocity);
+            } else if (type === 0x80 || type === 0x90) {
+                this.noteOff(note);
+            }
         }
 
         // === KEYBOARD MANAGEMENT ============================================
 
         _createKeyboard() {
             return `
-                <div class="chordonika__keyboard">
+                <div class="chordonika__keyboard" style="--chordonika-octaves: ${this._keyboardRange.octaves};">
                     <div class="chordonika__keys">
                         ${this._generateKeyHTML()}
                     </div>
@@ -191,54 +774,92 @@
         }
 
         _generateKeyHTML() {
-            const keyLayout = [
-                // white keys
-                { note:'C',  octave:3, type:'white', position:'c3' },
-                { note:'D',  octave:3, type:'white', position:'d3' },
-                { note:'E',  octave:3, type:'white', position:'e3' },
-                { note:'F',  octave:3, type:'white', position:'f3' },
-                { note:'G',  octave:3, type:'white', position:'g3' },
-                { note:'A',  octave:3, type:'white', position:'a3' },
-                { note:'B',  octave:3, type:'white', position:'b3' },
-                { note:'C',  octave:4, type:'white', position:'c4' },
-                { note:'D',  octave:4, type:'white', position:'d4' },
-                { note:'E',  octave:4, type:'white', position:'e4' },
-                { note:'F',  octave:4, type:'white', position:'f4' },
-                { note:'G',  octave:4, type:'white', position:'g4' },
-                { note:'A',  octave:4, type:'white', position:'a4' },
-                { note:'B',  octave:4, type:'white', position:'b4' },
-                // black keys
-                { note:'C#', octave:3, type:'black', position:'cs3' },
-                { note:'D#', octave:3, type:'black', position:'ds3' },
-                { note:'F#', octave:3, type:'black', position:'fs3' },
-                { note:'G#', octave:3, type:'black', position:'gs3' },
-                { note:'A#', octave:3, type:'black', position:'as3' },
-                { note:'C#', octave:4, type:'black', position:'cs4' },
-                { note:'D#', octave:4, type:'black', position:'ds4' },
-                { note:'F#', octave:4, type:'black', position:'fs4' },
-                { note:'G#', octave:4, type:'black', position:'gs4' },
-                { note:'A#', octave:4, type:'black', position:'as4' },
-            ];
-
-            return keyLayout.map(key => {
-                const keyId = `key-${key.position}`;
-                const noteLabel = key.note.replace('#', '♯');
-                return `
+            const { startOctave, octaves } = this._keyboardRange;
+            const keyLayout = [];
+            let whiteIndex = 0;
+
+            for (let octave = startOctave; octave < startOctave + octaves; octave++) {
+                this.chordData.noteNames.forEach(note => {
+                    const type = note.includes('#') ? 'black' : 'white';
+                    const position = note.replace('#', 's').toLowerCase() + octave;
+                    // Black keys sit on the boundary after the white keys placed so far
+                    keyLayout.push({ note, octave, type, position, whiteIndex });
+                    if (type === 'white') whiteIndex++;
+                });
+            }
+
+            const whiteWidth = 100 / whiteIndex;
+            const blackWidth = whiteWidth * 0.57;
+
+            // White keys first so black keys stack above them
+            return keyLayout
+                .sort((a, b) => (a.type === b.type ? 0 : a.type === 'white' ? -1 : 1))
+                .map(key => {
+                    const keyId = `key-${key.position}`;
+                    const noteLabel = key.note.replace('#', '♯');
+                    const left = key.type === 'white'
+                        ? key.whiteIndex * whiteWidth
+                        : key.whiteIndex * whiteWidth - blackWidth / 2;
+                    const width = key.type === 'white' ? whiteWidth : blackWidth;
+                    return `
                     <div class="chordonika__key chordonika__key--${key.type} chordonika__position--${key.position}"
+                         style="left: ${left.toFixed(3)}%; width: ${width.toFixed(3)}%;"
                          data-note="${key.note}"
                          data-octave="${key.octave}"
                          data-key-id="${keyId}">
                         <div class="chordonika__note-label">${noteLabel}</div>
                     </div>
                 `;
-            }).join('');
+                }).join('');
         }
 
         _highlightChordNotes(chord) {
             this._clearHighlights();
             if (!chord) return;
 
-            const midiNotes = this._findOptimalOctave(chord.notes);
+            this._showMidiNotes(chord.midiNotes);
+        }
+
+        _showMidiNotes(midiNotes) {
+            const placed = this._findOptimalOctave(midiNotes);
+            this._setKeyboardRange(this._keyboardRangeFor(placed));
+            this._highlightMidiNotes(placed);
+        }
+
+        _keyboardRangeFor(midiNotes) {
+            // Always show at least C3-B4; widen to cover whatever the voicing spans
+            const minOctave = Math.floor(KEYBOARD_MIN_MIDI / 12) - 1;
+            const maxOctave = Math.floor(KEYBOARD_MAX_MIDI / 12) - 1;
+            let startOctave = 3;
+            let endOctave = 4;
+
+            midiNotes.forEach(midi => {
+                const octave = Math.floor(midi / 12) - 1;
+                startOctave = Math.min(startOctave, octave);
+                endOctave = Math.max(endOctave, octave);
+            });
+
+            startOctave = Math.max(minOctave, startOctave);
+            endOctave = Math.min(maxOctave, endOctave);
+            return { startOctave, octaves: endOctave - startOctave + 1 };
+        }
+
+        _setKeyboardRange(range) {
+            const current = this._keyboardRange;
+            if (current.startOctave === range.startOctave && current.octaves === range.octaves) return;
+
+            this._keyboardRange = range;
+            // Keys keep their size; the keyboard grows with the range and its container scrolls
+            this._mount?.querySelector('.chordonika__keyboard')
+                ?.style.setProperty('--chordonika-octaves', String(range.octaves));
+            const keysEl = this._mount?.querySelector('.chordonika__keys');
+            if (keysEl) keysEl.innerHTML = this._generateKeyHTML();
+            // The range starts at the chord's lowest octave, so show it from the left
+            const container = this._mount?.querySelector('.chordonika__keyboard-container');
+            if (container) container.scrollLeft = 0;
+        }
+
+        _highlightMidiNotes(midiNotes) {
             midiNotes.forEach(midiNote => {
                 const octave = Math.floor((midiNote - 12) / 12);
                 const noteIndex = (midiNote - 12) % 12;
@@ -259,6 +880,222 @@
             activeKeys?.forEach(key => key.classList.remove('chordonika__key--active'));
         }
 
+        // === PROGRESSION ======================================================
+
+        // Zero, negative or non-numeric beats would make playback spin on a zero timer
+        _createSlot(chord, beats) {
+            const validBeats = Number.isFinite(beats) && beats > 0 ? beats : this.settings.defaultBeats;
+            return { id: this._nextSlotId++, chord, beats: validBeats };
+        }
+
+        _resolveChord(chord) {
+            const resolved = typeof chord === "string" ? this.parseChordSymbol(chord) : chord;
+            return Array.isArray(resolved?.midiNotes) ? resolved : null;
+        }
+
+        _getDefaultBeats() {
+            const beatsInput = this._mount?.querySelector('.chordonika__beats-input');
+            const beats = parseFloat(beatsInput?.value);
+            return Number.isFinite(beats) && beats > 0 ? beats : this.settings.defaultBeats;
+        }
+
+        _addCurrentChordToProgression() {
+            if (!this._currentChord) {
+                this._showSymbolError("Select or play a chord before adding it to the progression");
+                return;
+            }
+            this._progression.push(this._createSlot(this._currentChord, this._getDefaultBeats()));
+            this._progressionChanged();
+        }
+
+        _progressionChanged() {
+            if (this._playback && this._progression.length === 0) this.stopProgression();
+            this._renderProgression();
+
+            if (this.settings.onProgressionChange) {
+                this.settings.onProgressionChange(this.getProgression());
+            }
+        }
+
+        _renderProgression() {
+            const strip = this._mount?.querySelector('.chordonika__progression-strip');
+            if (!strip) return;
+
+            if (this._progression.length === 0) {
+                strip.innerHTML = `
+                    <div class="chordonika__progression-empty tonika-text-muted">
+                        No chords yet. Add the current chord or paste a chart into the symbol field.
+                    </div>`;
+                return;
+            }
+
+            const playingIndex = this._playback?.index ?? -1;
+            strip.innerHTML = this._progression.map((slot, i) => `
+                <div class="chordonika__slot${i === playingIndex ? ' chordonika__slot--playing' : ''}"
+                     style="flex-grow: ${escapeHTML(slot.beats)};"
+                     data-slot-id="${slot.id}">
+                    <div class="chordonika__slot-symbol">${escapeHTML(slot.chord.symbol)}</div>
+                    <input class="tonika-input chordonika__slot-beats" type="number" min="0.5" max="32" step="0.5"
+                           value="${escapeHTML(slot.beats)}" data-index="${i}" title="Duration in beats">
+                    <div class="chordonika__slot-actions">
+                        <button class="tonika-btn" data-action="slot-left" data-index="${i}" title="Move earlier" ${i === 0 ? 'disabled' : ''}>◀</button>
+                        <button class="tonika-btn" data-action="slot-right" data-index="${i}" title="Move later" ${i === this._progression.length - 1 ? 'disabled' : ''}>▶</button>
+                        <button class="tonika-btn" data-action="slot-remove" data-index="${i}" title="Remove">✕</button>
+                    </div>
+                </div>
+            `).join('');
+        }
+
+        _playStep(index) {
+            if (!this._playback || this._progression.length === 0) {
+                this.stopProgression();
+                return;
+            }
+
+            const safeIndex = index % this._progression.length;
+            const slot = this._progression[safeIndex];
+            this._playback.index = safeIndex;
+
+            this._updateChordDisplay(slot.chord);
+            this._highlightChordNotes(slot.chord);
+            this._renderProgression();
+
+            // Hold for the slot, leaving a small gap so repeated chords re-articulate
+            const stepMs = (slot.beats * 60000) / this.settings.tempo;
+            this._soundSelection(slot.chord, { durationMs: Math.max(50, stepMs - 30) });
+
+            if (this.settings.onProgressionStep) {
+                this.settings.onProgressionStep(slot, safeIndex);
+            }
+
+            // Read the index when the timer fires: slots may be removed or moved meanwhile
+            this._playback.timer = setTimeout(() => this._playStep(this._playback.index + 1), stepMs);
+        }
+
+        _releaseChord(chord) {
+            chord.midiNotes.forEach(note => {
+                if (this.settings.soundOnSelect) this._getSynth()?.noteOff(note);
+                this.settings.midiOut?.noteOff(note);
+            });
+        }
+
+        _updatePlaybackButton() {
+            const btn = this._mount?.querySelector('[data-action="toggle-playback"]');
+            if (btn) btn.textContent = this._playback ? "Stop" : "Play";
+        }
+
+        // === MIDI EXPORT ======================================================
+
+        _getExportOptions() {
+            const timeSigSelect = this._mount?.querySelector('.chordonika__timesig-select');
+            const styleSelect = this._mount?.querySelector('.chordonika__style-select');
+            const velocityInput = this._mount?.querySelector('.chordonika__velocity-input');
+
+            const [numerator, denominator] = (timeSigSelect?.value || "4/4").split('/').map(Number);
+            return {
+                tempo: this.settings.tempo,
+                timeSignature: [numerator, denominator],
+                style: styleSelect?.value || "block",
+                velocity: parseInt(velocityInput?.value, 10) || 96,
+            };
+        }
+
+        _buildMidi(slots, { tempo, timeSignature = [4, 4], style = "block", velocity = 96 } = {}) {
+            const MidiWriter = globalThis.MidiWriter ? globalThis.MidiWriter : null;
+            if (!MidiWriter) {
+                throw new Error("MidiWriterJS not found. Load it before Chordonika.");
+            }
+
+            const [numerator, denominator] = timeSignature;
+            // Beats count in the time signature's unit; MIDI tempo is always per quarter note
+            const ticksPerBeat = (PPQ * 4) / denominator;
+            const quarterBpm = (tempo * 4) / denominator;
+            // Written as raw note messages: NoteEvent rescales velocity to 1-100 and back, which
+            // would not keep the exact MIDI value
+            const noteVelocity = clamp(Math.round(velocity), 1, 127);
+
+            const track = new MidiWriter.Track();
+            track.setTempo(quarterBpm, 0);
+            track.setTimeSignature(numerator, denominator, 24, 8);
+            track.addTrackName("Chordonika");
+
+            const timeline = []; // { tick, on, note }
+            const addNote = (note, start, end) => {
+                timeline.push({ tick: start, on: true, note }, { tick: Math.max(start + 1, end), on: false, note });
+            };
+
+            let tick = 0;
+            slots.forEach(({ chord, beats }) => {
+                const slotTicks = Math.max(1, Math.round(beats * ticksPerBeat));
+                const notes = [...chord.midiNotes].sort((a, b) => a - b);
+
+                if (style === "arpeggio") {
+                    // Roll upwards in eighths (or faster to fit), each note held to the end of the slot
+                    const step = Math.max(1, Math.min(PPQ / 2, Math.floor(slotTicks / notes.length)));
+                    notes.forEach((note, i) => addNote(note, tick + i * step, tick + slotTicks));
+                } else {
+                    notes.forEach(note => addNote(note, tick, tick + slotTicks));
+                }
+                tick += slotTicks;
+            });
+
+            // Note offs first at a shared tick, so a repeated note is released before it sounds again
+            timeline.sort((a, b) => a.tick - b.tick || a.on - b.on);
+            let lastTick = 0;
+            timeline.forEach(({ tick: at, on, note }) => {
+                const delta = at - lastTick;
+                lastTick = at;
+                track.addEvent({
+                    name: "ChordonikaNoteEvent",
+                    delta,
+                    data: MidiWriter.Utils.numberToVariableLength(delta)
+                        .concat(on ? [0x90, note, noteVelocity] : [0x80, note, 0]),
+                });
+            });
+
+            return new MidiWriter.Writer([track], {});
+        }
+
+        _downloadMidi(writer, label, tempo) {
+            const file = writer.buildFile();
+            const blob = new Blob([file], { type: "audio/midi" });
+            const url = URL.createObjectURL(blob);
+
+            const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+            const safeLabel = label.replace(/[^A-Za-z0-9#_-]+/g, "_");
+            const fname = `chordonika-${safeLabel}-${Math.round(tempo)}bpm-${stamp}.mid`;
+
+            const a = document.createElement("a");
+            a.href = url;
+            a.download = fname;
+            document.body.appendChild(a);
+            a.click();
+            a.remove();
+            setTimeout(() => URL.revokeObjectURL(url), 5000);
+
+            this._status(`Saved ${fname}`);
+            return blob;
+        }
+
+        // === AUDIO PREVIEW ======================================================
+
+        _getSynth() {
+            return this.settings.synth ?? globalThis.TonikaSynth?.shared() ?? null;
+        }
+
+        // Picked chords always go to the MIDI output; the synth only when auto-sound is on
+        _soundSelection(chord, opts = {}) {
+            if (this.settings.soundOnSelect) {
+                this._getSynth()?.playChord(chord.midiNotes, opts);
+            }
+            this.settings.midiOut?.playChord(chord.midiNotes, opts);
+        }
+
+        _status(text) {
+            const statusEl = this._mount?.querySelector('.chordonika__status');
+            if (statusEl) statusEl.textContent = text;
+        }
+
         // === UI RENDERING =======================================================
         _renderUI() {
             if (!this._mount) {
@@ -291,6 +1128,17 @@
 
                 <div class="chordonika__content">
                     <div class="chordonika__chord-selector">
+                        <div class="chordonika__symbol-entry">
+                            <label for="chordonika-symbol-input">Chord Symbol:</label>
+                            <input id="chordonika-symbol-input"
+                                   class="tonika-input chordonika__symbol-input"
+                                   type="text"
+                                   placeholder="e.g. F#m7b5/E, Bbmaj9, C7(#9) — press Enter"
+                                   autocomplete="off"
+                                   spellcheck="false">
+                            <div class="chordonika__symbol-error" role="alert"></div>
+                        </div>
+
                         <div class="chordonika__controls">
                             <div class="chordonika__dropdown-group">
                                 <label for="chordonika-root-select">Root Note:</label>
@@ -304,6 +1152,14 @@
                                     <option value="">Select chord quality...</option>
                                 </select>
                             </div>
+                            <div class="chordonika__dropdown-group">
+                                <label for="chordonika-inversion-select">Inversion:</label>
+                                <select id="chordonika-inversion-select" class="tonika-select chordonika__dropdown"></select>
+                            </div>
+                            <div class="chordonika__dropdown-group">
+                                <label for="chordonika-voicing-select">Voicing:</label>
+                                <select id="chordonika-voicing-select" class="tonika-select chordonika__dropdown"></select>
+                            </div>
                         </div>
 
                         <div class="chordonika__chord-info" aria-live="polite">
@@ -311,6 +1167,14 @@
                                 <div class="chordonika__chord-symbol"></div>
                                 <div class="chordonika__chord-notes"></div>
                             </div>
+                            <div class="chordonika__sound-controls">
+                                <button class="tonika-btn" data-action="play-chord" title="Hear the chord">Play</button>
+                                <button class="tonika-btn" data-action="strum-chord" title="Hear the chord strummed low to high">Strum</button>
+                                <label class="chordonika__sound-toggle" title="Sound chords as they are picked">
+                                    <input type="checkbox" class="chordonika__sound-on-select" ${this.settings.soundOnSelect ? "checked" : ""}>
+                                    Auto
+                                </label>
+                            </div>
                             <button class="tonika-btn tonika-btn--danger chordonika__clear-btn">Clear</button>
                         </div>
                     </div>
@@ -318,6 +1182,40 @@
                     <div class="chordonika__keyboard-container">
                         ${this._createKeyboard()}
                     </div>
+
+                    <div class="chordonika__progression">
+                        <div class="chordonika__progression-controls">
+                            <strong>Progression</strong>
+                            <span class="tonika-text-muted">Beats</span>
+                            <input class="tonika-input chordonika__number chordonika__beats-input" type="number" min="1" max="32" step="1" value="${this.settings.defaultBeats}">
+                            <button class="tonika-btn tonika-btn--primary" data-action="add-slot" title="Add the current chord">Add chord</button>
+                            <span class="tonika-text-muted">BPM</span>
+                            <input class="tonika-input chordonika__number chordonika__tempo-input" type="number" min="30" max="300" step="1" value="${this.settings.tempo}">
+                            <button class="tonika-btn" data-action="toggle-playback">Play</button>
+                            <button class="tonika-btn" data-action="clear-progression" title="Remove all slots">Clear</button>
+                        </div>
+                        <div class="chordonika__progression-strip"></div>
+                        <div class="chordonika__export-controls">
+                            <strong>Export</strong>
+                            <select class="tonika-select chordonika__timesig-select" title="Time signature">
+                                <option value="4/4" selected>4/4</option>
+                                <option value="3/4">3/4</option>
+                                <option value="2/4">2/4</option>
+                                <option value="5/4">5/4</option>
+                                <option value="6/8">6/8</option>
+                                <option value="12/8">12/8</option>
+                            </select>
+                            <select class="tonika-select chordonika__style-select" title="Block chords or arpeggios">
+                                <option value="block" selected>Block</option>
+                                <option value="arpeggio">Arpeggio</option>
+                            </select>
+                            <span class="tonika-text-muted">Vel</span>
+                            <input class="tonika-input chordonika__number chordonika__velocity-input" type="number" min="1" max="127" step="1" value="96">
+                            <button class="tonika-btn" data-action="export-chord" title="Download the current chord as .mid">Chord .mid</button>
+                            <button class="tonika-btn" data-action="export-progression" title="Download the progression as .mid">Progression .mid</button>
+                        </div>
+                        <div class="chordonika__status tonika-text-muted" aria-live="polite"></div>
+                    </div>
                 </div>
             `;
         }
@@ -325,6 +1223,8 @@
         _populateDropdowns() {
             const rootSelect = this._mount?.querySelector('#chordonika-root-select');
             const qualitySelect = this._mount?.querySelector('#chordonika-quality-select');
+            const inversionSelect = this._mount?.querySelector('#chordonika-inversion-select');
+            const voicingSelect = this._mount?.querySelector('#chordonika-voicing-select');
 
             if (rootSelect) {
                 this.chordData.rootNotes.forEach(root => {
@@ -347,6 +1247,24 @@
                     qualitySelect.appendChild(option);
                 });
             }
+
+            if (inversionSelect) {
+                this.chordData.inversions.forEach(inversion => {
+                    const option = document.createElement('option');
+                    option.value = String(inversion.value);
+                    option.textContent = inversion.label;
+                    inversionSelect.appendChild(option);
+                });
+            }
+
+            if (voicingSelect) {
+                Object.values(this.chordData.voicings).forEach(voicing => {
+                    const option = document.createElement('option');
+                    option.value = voicing.name;
+                    option.textContent = voicing.label;
+                    voicingSelect.appendChild(option);
+                });
+            }
         }
 
         // === EVENT HANDLING ==================================================
@@ -357,11 +1275,106 @@
             // Dropdown change handlers
             const rootSelect = this._mount.querySelector('#chordonika-root-select');
             const qualitySelect = this._mount.querySelector('#chordonika-quality-select');
+            const inversionSelect = this._mount.querySelector('#chordonika-inversion-select');
+            const voicingSelect = this._mount.querySelector('#chordonika-voicing-select');
             const clearBtn = this._mount.querySelector('.chordonika__clear-btn');
 
-            rootSelect?.addEventListener('change', () => this._handleChordChange());
-            qualitySelect?.addEventListener('change', () => this._handleChordChange());
+            const symbolInput = this._mount.querySelector('#chordonika-symbol-input');
+
+            // Picking root/quality by hand drops any typed symbol
+            rootSelect?.addEventListener('change', () => {
+                this._parsedSymbol = null;
+                this._handleChordChange();
+            });
+            qualitySelect?.addEventListener('change', () => {
+                this._parsedSymbol = null;
+                this._handleChordChange();
+            });
+            inversionSelect?.addEventListener('change', () => {
+                // An explicit inversion overrides the typed slash bass
+                if (this._parsedSymbol) {
+                    this._parsedSymbol = { ...this._parsedSymbol, bass: null, bassLabel: null };
+                }
+                this._handleChordChange();
+            });
+            voicingSelect?.addEventListener('change', () => this._handleChordChange());
+
+            symbolInput?.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    this._handleSymbolInput();
+                }
+            });
+            symbolInput?.addEventListener('change', () => this._handleSymbolInput());
+            symbolInput?.addEventListener('input', () => this._showSymbolError(""));
             clearBtn?.addEventListener('click', () => this._clearSelection());
+
+            const soundControls = this._mount.querySelector('.chordonika__sound-controls');
+            soundControls?.addEventListener('click', (e) => {
+                const btn = e.target.closest('[data-action]');
+                if (!btn) return;
+                this.playChord(this._currentChord, { strum: btn.dataset.action === 'strum-chord' });
+            });
+            soundControls?.addEventListener('change', (e) => {
+                if (e.target.classList.contains('chordonika__sound-on-select')) {
+                    this.settings.soundOnSelect = e.target.checked;
+                }
+            });
+
+            // Progression strip (slots are re-rendered, so delegate)
+            const progressionEl = this._mount.querySelector('.chordonika__progression');
+            progressionEl?.addEventListener('click', (e) => {
+                const btn = e.target.closest('[data-action]');
+                if (!btn) return;
+                const index = parseInt(btn.dataset.index, 10);
+
+                switch (btn.dataset.action) {
+                    case 'add-slot':
+                        this._addCurrentChordToProgression();
+                        break;
+                    case 'toggle-playback':
+                        if (this._playback) this.stopProgression();
+                        else this.playProgression();
+                        break;
+                    case 'clear-progression':
+                        this.clearProgression();
+                        break;
+                    case 'slot-left':
+                        this.moveProgressionSlot(index, index - 1);
+                        break;
+                    case 'slot-right':
+                        this.moveProgressionSlot(index, index + 1);
+                        break;
+                    case 'slot-remove':
+                        this.removeProgressionSlot(index);
+                        break;
+                    case 'export-chord':
+                        this.exportChordMidi(this._currentChord, this._getExportOptions());
+                        break;
+                    case 'export-progression':
+                        this.exportProgressionMidi(this._getExportOptions());
+                        break;
+                }
+            });
+            progressionEl?.addEventListener('change', (e) => {
+                if (e.target.classList.contains('chordonika__slot-beats')) {
+                    const index = parseInt(e.target.dataset.index, 10);
+                    const beats = parseFloat(e.target.value);
+                    const slot = this._progression[index];
+                    if (slot && Number.isFinite(beats) && beats > 0) {
+                        slot.beats = beats;
+                        this._progressionChanged();
+                    } else {
+                        this._renderProgression();
+                    }
+                }
+                if (e.target.classList.contains('chordonika__tempo-input')) {
+                    const tempo = parseFloat(e.target.value);
+                    if (Number.isFinite(tempo) && tempo > 0) this.settings.tempo = tempo;
+                }
+            });
+
+            this._renderProgression();
         }
 
         _handleChordChange() {
@@ -370,31 +1383,151 @@
 
             const rootNote = rootSelect?.value;
             const quality = qualitySelect?.value;
+            this._recognizedSymbol = null;
+            this._updateInversionOptions(quality);
 
-            if (rootNote && quality) {
-                const chord = this._calculateChord(rootNote, quality);
-                this._updateChordDisplay(chord);
-                this._highlightChordNotes(chord);
+            if (this._parsedSymbol) {
+                this._selectChord(this._chordFromParsed(this._parsedSymbol));
+            } else if (rootNote && quality) {
+                this._selectChord(this._calculateChord(rootNote, quality, this._getVoicingOptions()));
+            } else {
+                this._selectChord(null);
+            }
+        }
 
-                if (this.settings.onChordSelected) {
-                    this.settings.onChordSelected(chord);
+        _handleSymbolInput() {
+            const symbolInput = this._mount?.querySelector('#chordonika-symbol-input');
+            const text = symbolInput?.value ?? "";
+            // Whatever was typed before no longer describes the selection
+            this._parsedSymbol = null;
+            if (!text.trim()) {
+                this._showSymbolError("");
+                return;
+            }
+
+            // Several symbols at once (a pasted chart) go straight into the progression
+            const tokens = text.trim().split(/[\s|]+/).filter(Boolean);
+            if (tokens.length > 1) {
+                this._handleChordChart(tokens);
+                return;
+            }
+
+            const parsed = this._parseChordSymbol(text);
+            if (parsed.error) {
+                this._showSymbolError(parsed.error);
+                return;
+            }
+
+            this._showSymbolError("");
+            this._parsedSymbol = parsed;
+            this._recognizedSymbol = null;
+
+            // A symbol without a slash is root position, whatever was selected before
+            const inversionSelect = this._mount?.querySelector('#chordonika-inversion-select');
+            if (inversionSelect) inversionSelect.value = "0";
+
+            const chord = this._chordFromParsed(parsed);
+            this._syncDropdowns(chord);
+            this._selectChord(chord);
+        }
+
+        _handleChordChart(tokens) {
+            const chords = [];
+            for (const token of tokens) {
+                const parsed = this._parseChordSymbol(token);
+                if (parsed.error) {
+                    this._showSymbolError(parsed.error);
+                    return;
                 }
+                chords.push(this._chordFromParsed(parsed));
+            }
+
+            this._showSymbolError("");
+            const beats = this._getDefaultBeats();
+            chords.forEach(chord => this._progression.push(this._createSlot(chord, beats)));
+            this._progressionChanged();
+        }
+
+        _chordFromParsed(parsed) {
+            const { inversion, voicing } = this._getVoicingOptions();
+            return this._calculateChord(parsed.root, parsed.quality, {
+                inversion: parsed.bass ? 0 : inversion,
+                voicing,
+                bass: parsed.bass,
+                extensions: parsed.extensions,
+                rootLabel: parsed.rootLabel,
+                bassLabel: parsed.bassLabel,
+            });
+        }
+
+        _selectChord(chord) {
+            this._currentChord = chord ?? null;
+            if (chord) {
+                this._updateChordDisplay(chord);
+                this._highlightChordNotes(chord);
+                this._soundSelection(chord);
             } else {
                 this._updateChordDisplay(null);
                 this._clearHighlights();
+            }
 
-                if (this.settings.onChordSelected) {
-                    this.settings.onChordSelected(null);
-                }
+            if (this.settings.onChordSelected) {
+                this.settings.onChordSelected(chord ?? null);
+            }
+        }
+
+        _showSymbolError(message) {
+            const symbolInput = this._mount?.querySelector('#chordonika-symbol-input');
+            const errorEl = this._mount?.querySelector('.chordonika__symbol-error');
+
+            if (errorEl) errorEl.textContent = message;
+            if (symbolInput) {
+                symbolInput.classList.toggle('chordonika__symbol-input--invalid', !!message);
+                symbolInput.setAttribute('aria-invalid', message ? 'true' : 'false');
+            }
+        }
+
+        _getVoicingOptions() {
+            const inversionSelect = this._mount?.querySelector('#chordonika-inversion-select');
+            const voicingSelect = this._mount?.querySelector('#chordonika-voicing-select');
+
+            return {
+                inversion: parseInt(inversionSelect?.value, 10) || 0,
+                voicing: voicingSelect?.value || "close",
+            };
+        }
+
+        _updateInversionOptions(qualityName) {
+            const inversionSelect = this._mount?.querySelector('#chordonika-inversion-select');
+            if (!inversionSelect) return;
+
+            // Only offer inversions the chord has tones for (no 3rd inversion of a triad)
+            const quality = this.chordData.chordQualities[qualityName];
+            const toneCount = quality ? quality.intervals.length : Infinity;
+            Array.from(inversionSelect.options).forEach(option => {
+                option.disabled = parseInt(option.value, 10) >= toneCount;
+            });
+            if (parseInt(inversionSelect.value, 10) >= toneCount) {
+                inversionSelect.value = "0";
             }
         }
 
         _clearSelection() {
             const rootSelect = this._mount?.querySelector('#chordonika-root-select');
             const qualitySelect = this._mount?.querySelector('#chordonika-quality-select');
+            const inversionSelect = this._mount?.querySelector('#chordonika-inversion-select');
+            const voicingSelect = this._mount?.querySelector('#chordonika-voicing-select');
+            const symbolInput = this._mount?.querySelector('#chordonika-symbol-input');
 
             if (rootSelect) rootSelect.value = "";
             if (qualitySelect) qualitySelect.value = "";
+            if (inversionSelect) inversionSelect.value = "0";
+            if (voicingSelect) voicingSelect.value = "close";
+            if (symbolInput) symbolInput.value = "";
+            this._showSymbolError("");
+            this._parsedSymbol = null;
+            this._recognizedSymbol = null;
+            this._currentChord = null;
             this._updateChordDisplay(null);
             this._clearHighlights();
 
@@ -412,10 +1545,277 @@
             }
 
             if (notesEl) {
-                notesEl.textContent = chord ? chord.notes.join(' - ') : "";
+                // Voiced order, bass first
+                notesEl.textContent = chord
+                    ? chord.midiNotes.map(n => this.chordData.noteNames[n % 12]).join(' - ')
+                    : "";
             }
         }
 // === PUBLIC API ======================================================
+
+        /**
+         * Feed a held note into live chord recognition (e.g. from Jackonika)
+         * @param {number} note - MIDI note number
+         * @param {number} [velocity]
+         */
+        noteOn(note, velocity = 100) {
+            if (velocity <= 0) {
+                this.noteOff(note);
+                return;
+            }
+            this._heldNotes.add(note);
+            this._recognizeHeldNotes();
+        }
+
+        /**
+         * Release a held note
+         * @param {number} note - MIDI note number
+         */
+        noteOff(note) {
+            if (!this._heldNotes.delete(note)) return;
+            this._recognizeHeldNotes();
+        }
+
+        /**
+         * Name the chord formed by a set of MIDI notes
+         * @param {number[]} midiNotes - MIDI note numbers, any order
+         * @returns {Object|null} Chord object with bass, inversion and midiNotes, or null
+         */
+        identifyChord(midiNotes) {
+            return this._identifyChord(midiNotes ?? []);
+        }
+
+        /**
+         * Get the progression for use by other modules
+         * @returns {{tempo: number, slots: Array<{chord: Object, beats: number}>}}
+         */
+        getProgression() {
+            return {
+                tempo: this.settings.tempo,
+                slots: this._progression.map(slot => ({ chord: slot.chord, beats: slot.beats })),
+            };
+        }
+
+        /**
+         * Replace the progression
+         * @param {{tempo?: number, slots: Array<{chord: Object|string, beats?: number}>}} progression
+         *   Chords may be chord objects or symbols such as "Dm7"; slots without a usable chord are dropped
+         */
+        setProgression({ tempo, slots = [] } = {}) {
+            if (Number.isFinite(tempo) && tempo > 0) {
+                this.settings.tempo = tempo;
+                const tempoInput = this._mount?.querySelector('.chordonika__tempo-input');
+                if (tempoInput) tempoInput.value = String(tempo);
+            }
+
+            this._progression = slots
+                .map(slot => {
+                    const chord = this._resolveChord(slot.chord);
+                    return chord ? this._createSlot(chord, slot.beats) : null;
+                })
+                .filter(Boolean);
+            this._progressionChanged();
+        }
+
+        /**
+         * Append a chord to the progression
+         * @param {Object|string} chord - Chord object (with midiNotes) or symbol
+         * @param {number} [beats] - Falls back to the default when not a positive number
+         * @returns {boolean} Whether the chord was added
+         */
+        addToProgression(chord, beats = this.settings.defaultBeats) {
+            const resolved = this._resolveChord(chord);
+            if (!resolved) return false;
+            this._progression.push(this._createSlot(resolved, beats));
+            this._progressionChanged();
+            return true;
+        }
+
+        /**
+         * Remove a slot from the progression
+         * @param {number} index
+         */
+        removeProgressionSlot(index) {
+            if (index < 0 || index >= this._progression.length) return;
+            const [removed] = this._progression.splice(index, 1);
+            if (this._playback?.index === index) {
+                // Silence the removed chord and move straight on to the slot that took its place
+                clearTimeout(this._playback.timer);
+                this._releaseChord(removed.chord);
+                this._playStep(index);
+            } else if (this._playback && this._playback.index > index) {
+                this._playback.index -= 1;
+            }
+            this._progressionChanged();
+        }
+
+        /**
+         * Move a slot to a new position
+         * @param {number} from
+         * @param {number} to
+         */
+        moveProgressionSlot(from, to) {
+            const length = this._progression.length;
+            if (from < 0 || from >= length || to < 0 || to >= length || from === to) return;
+            const playing = this._playback ? this._progression[this._playback.index] : null;
+            const [slot] = this._progression.splice(from, 1);
+            this._progression.splice(to, 0, slot);
+            // Playback carries on from wherever the playing slot went
+            if (playing) this._playback.index = this._progression.indexOf(playing);
+            this._progressionChanged();
+        }
+
+        /**
+         * Remove every slot (stops playback)
+         */
+        clearProgression() {
+            this._progression = [];
+            this._progressionChanged();
+        }
+
+        /**
+         * Loop the progression on the keyboard at the current tempo
+         */
+        playProgression() {
+            if (this._playback || this._progression.length === 0) return;
+            this._playback = { index: 0, timer: null };
+            this._updatePlaybackButton();
+            this._playStep(0);
+        }
+
+        /**
+         * Stop progression playback
+         */
+        stopProgression() {
+            if (!this._playback) return;
+            clearTimeout(this._playback.timer);
+
+            const slot = this._progression[this._playback.index];
+            if (slot) this._releaseChord(slot.chord);
+            this._playback = null;
+            this._updatePlaybackButton();
+            this._renderProgression();
+            this._updateChordDisplay(this._currentChord);
+            this._highlightChordNotes(this._currentChord);
+        }
+
+        /**
+         * @returns {boolean} Whether the progression is looping
+         */
+        isProgressionPlaying() {
+            return !!this._playback;
+        }
+
+        /**
+         * Sound a chord through the synth and the MIDI output, if any
+         * @param {Object} [chord] - Chord object (defaults to the chord on screen)
+         * @param {Object} [opts]
+         * @param {boolean} [opts.strum=false] - Roll the notes low to high
+         * @param {number} [opts.velocity] - MIDI velocity 1-127 (defaults to each player's own)
+         * @param {number} [opts.durationMs] - How long the chord rings (defaults to each player's own)
+         */
+        playChord(chord = this._currentChord, { strum = false, velocity, durationMs } = {}) {
+            if (!chord) return;
+
+            const opts = { velocity, durationMs, strumMs: strum ? 35 : 0 };
+            this._getSynth()?.playChord(chord.midiNotes, opts);
+            this.settings.midiOut?.playChord(chord.midiNotes, opts);
+        }
+
+        /**
+         * Sound a chord strummed low to high
+         * @param {Object} [chord] - Chord object (defaults to the chord on screen)
+         */
+        strumChord(chord = this._currentChord) {
+            this.playChord(chord, { strum: true });
+        }
+
+        /**
+         * Route picked chords and progression playback to a MIDI output
+         * @param {Object|null} midiOut - TonikaMidiOut, or null to stop sending
+         */
+        setMidiOut(midiOut) {
+            this.settings.midiOut?.allNotesOff();
+            this.settings.midiOut = midiOut ?? null;
+        }
+
+        /**
+         * Download a single chord as a Standard MIDI File
+         * @param {Object} [chord] - Chord object (defaults to the chord on screen)
+         * @param {Object} [opts]
+         * @param {number} [opts.tempo] - BPM (defaults to the progression tempo)
+         * @param {number[]} [opts.timeSignature=[4, 4]] - [numerator, denominator]
+         * @param {"block"|"arpeggio"} [opts.style="block"]
+         * @param {number} [opts.velocity=96] - MIDI velocity 1-127
+         * @param {number} [opts.beats] - Length in beats (defaults to one bar)
+         * @returns {Blob|undefined}
+         */
+        exportChordMidi(chord = this._currentChord, opts = {}) {
+            if (!chord) {
+                this._status("Select or play a chord to export.");
+                return;
+            }
+            const options = { tempo: this.settings.tempo, ...opts };
+            const beats = options.beats ?? (options.timeSignature?.[0] ?? 4);
+            const writer = this._buildMidi([{ chord, beats }], options);
+            return this._downloadMidi(writer, chord.symbol, options.tempo);
+        }
+
+        /**
+         * Download the progression as a Standard MIDI File
+         * @param {Object} [opts] - Same options as exportChordMidi (beats come from the slots)
+         * @returns {Blob|undefined}
+         */
+        exportProgressionMidi(opts = {}) {
+            if (this._progression.length === 0) {
+                this._status("Add chords to the progression to export it.");
+                return;
+            }
+            const options = { tempo: this.settings.tempo, ...opts };
+            const writer = this._buildMidi(this._progression, options);
+            return this._downloadMidi(writer, "progression", options.tempo);
+        }
+
+        /**
+         * Resolve a typed chord symbol without touching the UI
+         * @param {string} symbol - e.g. "F#m7b5/E", "Bbmaj9", "C7(#9)"
+         * @returns {Object|null} Chord object as returned for dropdown selections, or null if unparseable
+         */
+        parseChordSymbol(symbol) {
+            const parsed = this._parseChordSymbol(symbol);
+            if (parsed.error) return null;
+            return this._calculateChord(parsed.root, parsed.quality, {
+                bass: parsed.bass,
+                extensions: parsed.extensions,
+                rootLabel: parsed.rootLabel,
+                bassLabel: parsed.bassLabel,
+            });
+        }
+
+        /**
+         * Select a chord by symbol, as if typed into the symbol field
+         * @param {string} symbol
+         * @returns {Object|null} The selected chord, or null (the error is shown inline)
+         */
+        selectChordSymbol(symbol) {
+            const symbolInput = this._mount?.querySelector('#chordonika-symbol-input');
+            if (symbolInput) symbolInput.value = symbol;
+            this._handleSymbolInput();
+            return this._parsedSymbol ? this._chordFromParsed(this._parsedSymbol) : null;
+        }
+
+        /**
+         * Stop listening to Web MIDI and remove the UI
+         */
+        destroy() {
+            this.stopProgression();
+            if (this._midi) {
+                this._midi.removeEventListener("message", this._onHubMessage);
+                this._midi = null;
+            }
+            this._heldNotes.clear();
+            if (this._mount) this._mount.innerHTML = "";
+        }
     }
 
     // Export to global scope
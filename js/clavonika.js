@@ -4,6 +4,7 @@
  *
  * Usage:
  *   <link rel="stylesheet" href="clavonika.css">
+ *   <script src="tonika-midi.js"></script>
  *   <script src="clavonika.js"></script>
  *   <script>
  *     const piano = Clavonika.init('container-id');
@@ -11,6 +12,22 @@
  *     // You can also call:
  *     // piano.noteOn(60);  // Play middle C
  *     // piano.noteOff(60); // Stop middle C
+ *     // piano.setSustain(true); // Released keys stay lit until setSustain(false)
+ *     // piano.light(60, true); // Light a key without sounding it
+ *
+ *     // Pass a synth (e.g. TonikaSynth.shared()) to hear the keys:
+ *     // Clavonika.init('container-id', { synth: TonikaSynth.shared() });
+ *
+ *     // Keys played on Clavonika itself (press/release) can also go to a
+ *     // MIDI output via a TonikaMidiOut passed as { midiOut }.
+ *
+ *     // When something else (e.g. Jackonika) already routes MIDI devices to
+ *     // the piano, turn off Clavonika's own input so notes arrive only once:
+ *     // Clavonika.init('container-id', { midiInput: false });
+ *
+ *     // Click, drag or touch the keys to play; subscribe to what is played:
+ *     // piano.on('noteon',  ({ note, velocity }) => ...);
+ *     // piano.on('noteoff', ({ note }) => ...);
  *   </script>
  */
 
@@ -21,8 +38,8 @@
     const HTML_TEMPLATE = `
 <section class="piano-wrapper">
   <div class="midi-device-label">
-	<label for="midiDeviceSelector">Select MIDI Input:</label>
-	<select id="midiDeviceSelector"></select>
+	<label class="midi-device-selector-label">Select MIDI Input:</label>
+	<select class="midi-device-selector"></select>
   </div>
   <div class="piano-controls">
 	<label>
@@ -41,6 +58,7 @@
 		<option value="C5">C5 (Notation, FL Studio)</option>
 	  </select>
 	</label>
+	<span class="sustain-indicator" title="Sustain pedal">Sustain</span>
   </div>
 
   <div class="piano-container">
@@ -79,21 +97,35 @@
         return out;
     }
     const keys = generateKeys();
+    let selectorCount = 0; // unique ids for each instance's MIDI input <select>
 
     // Core functionality
-    function createClavonikaInstance(container) {
+    function createClavonikaInstance(container, options = {}) {
+        const synth = options.synth || null;
+        const midiOut = options.midiOut || null;
+        const listensToMIDI = options.midiInput !== false;
         let middleCShift = -1; // MIDI 60 = C3
         let keyboard,
             toggleCOnly,
             toggleAllLabels,
             middleCSelect,
-            midiDeviceSelector;
+            midiDeviceSelector,
+            sustainIndicator;
 
         // === MIDI state ===
         let midiAccess = null;
         let currentInput = null;
         const LAST_INPUT_KEY = "clavonika:lastInputId";
 
+        // === Played-note state ===
+        const listeners = { noteon: [], noteoff: [] };
+        const pointers = new Map(); // pointerId -> midi note it holds (null between keys)
+        const heldCounts = new Map(); // midi note -> number of pointers holding it
+
+        // === Sustain pedal state ===
+        let sustainDown = false;
+        const sustainedNotes = new Set(); // released while the pedal was down
+
         function createKeyElement(key) {
             const el = document.createElement("div");
             el.className = key.type === "black" ? "black-key" : "white-key";
@@ -191,6 +223,138 @@
             if (el) el.classList.toggle("active", isActive);
         }
 
+        function setNoteSustained(midiNote, isSustained) {
+            const el = container.querySelector(`[data-midi="${midiNote}"]`);
+            if (el) el.classList.toggle("sustained", isSustained);
+        }
+
+        // Lit/sounding state shared by MIDI input, noteOn/noteOff and presses
+        function showNoteOn(midiNote, velocity) {
+            if (sustainedNotes.delete(midiNote)) setNoteSustained(midiNote, false);
+            setNoteActive(midiNote, true);
+            if (synth) synth.noteOn(midiNote, velocity);
+        }
+
+        function showNoteOff(midiNote) {
+            if (sustainDown) {
+                // The pedal keeps it ringing; stay lit until the pedal comes up
+                sustainedNotes.add(midiNote);
+                setNoteSustained(midiNote, true);
+                return;
+            }
+            setNoteActive(midiNote, false);
+            if (synth) synth.noteOff(midiNote);
+        }
+
+        function setSustain(isDown) {
+            sustainDown = isDown;
+            if (sustainIndicator) sustainIndicator.classList.toggle("on", isDown);
+            if (isDown) return;
+
+            sustainedNotes.forEach((midiNote) => {
+                setNoteSustained(midiNote, false);
+                setNoteActive(midiNote, false);
+                if (synth) synth.noteOff(midiNote);
+            });
+            sustainedNotes.clear();
+        }
+
+        function emit(type, detail) {
+            listeners[type].forEach((callback) => {
+                try {
+                    callback(detail);
+                } catch (error) {
+                    console.error(`Error in Clavonika ${type} listener:`, error);
+                }
+            });
+        }
+
+        // Notes played on the keyboard itself; unlike noteOn these are sent to the MIDI output
+        function pressKey(midiNote, velocity) {
+            showNoteOn(midiNote, velocity);
+            if (midiOut) midiOut.noteOn(midiNote, velocity);
+            emit("noteon", { note: midiNote, velocity });
+        }
+
+        function releaseKey(midiNote) {
+            showNoteOff(midiNote);
+            if (midiOut) midiOut.noteOff(midiNote);
+            emit("noteoff", { note: midiNote });
+        }
+
+        // ===== Pointer playing (mouse, pen, multi-touch) =====
+        function keyFromPoint(x, y) {
+            const el = document.elementFromPoint(x, y);
+            const keyEl = el && el.closest ? el.closest("[data-midi]") : null;
+            return keyEl && keyboard.contains(keyEl) ? keyEl : null;
+        }
+
+        function velocityFromPosition(keyEl, clientY) {
+            const rect = keyEl.getBoundingClientRect();
+            if (!rect.height) return 100;
+
+            // Further down the key (towards the player) plays louder
+            const depth = Math.max(0, Math.min(1, (clientY - rect.top) / rect.height));
+            return Math.round(30 + depth * 97);
+        }
+
+        function pointerPress(pointerId, keyEl, clientY) {
+            const note = Number(keyEl.dataset.midi);
+            const count = heldCounts.get(note) || 0;
+
+            pointers.set(pointerId, note);
+            heldCounts.set(note, count + 1);
+            if (count === 0) pressKey(note, velocityFromPosition(keyEl, clientY));
+        }
+
+        function pointerRelease(pointerId) {
+            const note = pointers.get(pointerId);
+            pointers.set(pointerId, null);
+            if (note === null || note === undefined) return;
+
+            const count = (heldCounts.get(note) || 1) - 1;
+            if (count > 0) {
+                heldCounts.set(note, count);
+            } else {
+                heldCounts.delete(note);
+                releaseKey(note);
+            }
+        }
+
+        function endPointer(e) {
+            if (!pointers.has(e.pointerId)) return;
+            pointerRelease(e.pointerId);
+            pointers.delete(e.pointerId);
+        }
+
+        function initializePointerHandlers() {
+            keyboard.addEventListener("pointerdown", (e) => {
+                if (e.pointerType === "mouse" && e.button !== 0) return;
+                const keyEl = e.target.closest("[data-midi]");
+                if (!keyEl) return;
+
+                e.preventDefault();
+                // Keep getting moves outside the keyboard; glissando hit-tests each move
+                if (keyboard.setPointerCapture) keyboard.setPointerCapture(e.pointerId);
+                pointerPress(e.pointerId, keyEl, e.clientY);
+            });
+
+            keyboard.addEventListener("pointermove", (e) => {
+                if (!pointers.has(e.pointerId)) return;
+                const keyEl = keyFromPoint(e.clientX, e.clientY);
+                const note = keyEl ? Number(keyEl.dataset.midi) : null;
+                if (note === pointers.get(e.pointerId)) return;
+
+                pointerRelease(e.pointerId);
+                if (keyEl) pointerPress(e.pointerId, keyEl, e.clientY);
+            });
+
+            keyboard.addEventListener("pointerup", endPointer);
+            keyboard.addEventListener("pointercancel", endPointer);
+            keyboard.addEventListener("lostpointercapture", endPointer);
+        }
+        // ===== end Pointer playing =====
+
         // ===== Web MIDI integration =====
         function handleMIDIMessage(ev) {
             const [status, note, velocity = 0] = ev.data || [];
@@ -198,23 +362,23 @@
 
             // Note Off (0x80) or Note On with velocity 0 (running note-off)
             if (type === 0x80 || (type === 0x90 && velocity === 0)) {
-                setNoteActive(note, false);
+                showNoteOff(note);
                 return;
             }
             // Note On
             if (type === 0x90 && velocity > 0) {
-                setNoteActive(note, true);
-
+                showNoteOn(note, velocity);
+                return;
+            }
+            // Sustain pedal (CC 64)
+            if (type === 0xb0 && note === 64) {
+                setSustain(velocity >= 64);
             }
         }
 
-        function detachCurrentInput() {
-            if (currentInput) {
-                try {
-                    currentInput.onmidimessage = null;
-                } catch (_) {}
-            }
-            currentInput = null;
+        // TonikaMIDI fans every input out to everyone; keep only the selected one
+        function handleHubMessage(ev) {
+            if (currentInput && ev.input.id === currentInput.id) handleMIDIMessage(ev);
         }
 
         function attachInputById(id) {
@@ -228,9 +392,7 @@
             }
             if (!found) return;
 
-            detachCurrentInput();
             currentInput = found;
-            currentInput.onmidimessage = handleMIDIMessage;
             localStorage.setItem(LAST_INPUT_KEY, currentInput.id);
         }
 
@@ -295,24 +457,27 @@
         }
 
         function initMIDI() {
-            if (!navigator.requestMIDIAccess) {
+            const hub = window.TonikaMIDI;
+            if (!listensToMIDI || !navigator.requestMIDIAccess || !hub) {
                 // Hide selector if is not supported
                 midiDeviceSelector.innerHTML = "";
                 midiDeviceSelector.disabled = true;
                 midiDeviceSelector.classList.add("hidden");
+                if (listensToMIDI && !hub) console.warn("TonikaMIDI not found. Load tonika-midi.js before Clavonika.");
                 return;
             }
 
-            navigator
-                .requestMIDIAccess({ sysex: false })
+            hub
+                .request()
                 .then((access) => {
                     midiAccess = access;
                     populateDeviceSelector();
 
                     // React to hot-plug
-                    midiAccess.onstatechange = () => {
+                    hub.addEventListener("statechange", () => {
                         refreshDeviceSelection();
-                    };
+                    });
+                    hub.addEventListener("message", handleHubMessage);
 
                     midiDeviceSelector.addEventListener("change", (e) => {
                         const id = e.target.value;
@@ -333,11 +498,15 @@
             toggleCOnly = container.querySelector("#toggleCOnly");
             toggleAllLabels = container.querySelector("#toggleAllLabels");
             middleCSelect = container.querySelector("#middleC");
-            midiDeviceSelector = container.querySelector("#midiDeviceSelector");
+            midiDeviceSelector = container.querySelector(".midi-device-selector");
+            midiDeviceSelector.id = `clavonika-midi-input-${++selectorCount}`;
+            container.querySelector(".midi-device-selector-label").htmlFor = midiDeviceSelector.id;
+            sustainIndicator = container.querySelector(".sustain-indicator");
 
             // Generate keyboard and set up event handlers
             generateKeyboard();
             initializeEventHandlers();
+            initializePointerHandlers();
 
             // Initialize Web MIDI (auto-binds to the last used input if present)
             initMIDI();
@@ -345,11 +514,34 @@
 
         // Public API
         return {
-            noteOn: function (midiNote) {
-                setNoteActive(midiNote, true);
+            noteOn: function (midiNote, velocity = 100) {
+                showNoteOn(midiNote, velocity);
             },
             noteOff: function (midiNote) {
-                setNoteActive(midiNote, false);
+                showNoteOff(midiNote);
+            },
+            // Light or clear a key without sounding it, e.g. to follow a playback
+            light: function (midiNote, isOn = true) {
+                setNoteActive(midiNote, !!isOn);
+            },
+            // Pedal down keeps released keys lit (and sounding) until it comes up
+            setSustain: function (isDown) {
+                setSustain(!!isDown);
+            },
+            press: function (midiNote, velocity = 100) {
+                pressKey(midiNote, velocity);
+            },
+            release: function (midiNote) {
+                releaseKey(midiNote);
+            },
+            // type: "noteon" ({ note, velocity }) or "noteoff" ({ note }), for keys played on Clavonika
+            on: function (type, callback) {
+                if (listeners[type]) listeners[type].push(callback);
+            },
+            off: function (type, callback) {
+                if (!listeners[type]) return;
+                const index = listeners[type].indexOf(callback);
+                if (index > -1) listeners[type].splice(index, 1);
             },
             initialize: initialize,
         };
@@ -357,7 +549,15 @@
 
     // Main Clavonika object
     window.Clavonika = {
-        init: function (containerId) {
+        /**
+         * @param {string|HTMLElement} containerId
+         * @param {Object} [options]
+         * @param {Object} [options.synth] - Player with noteOn/noteOff, sounds every key that lights up
+         * @param {Object} [options.midiOut] - Player with noteOn/noteOff, receives keys pressed on Clavonika
+         * @param {boolean} [options.midiInput=true] - Listen to a MIDI input itself; turn off when
+         *   device notes already reach the piano another way
+         */
+        init: function (containerId, options = {}) {
             let container;
             if (typeof containerId === "string") {
                 container = document.getElementById(containerId);
@@ -375,7 +575,7 @@
             container.classList.add("clavonika-container");
             container.innerHTML = HTML_TEMPLATE;
 
-            const instance = createClavonikaInstance(container);
+            const instance = createClavonikaInstance(container, options);
             instance.initialize();
 
             return instance;
@@ -1,91 +1,440 @@
 // jackonika.js (standalone Jackonika)
 (function () {
-    let currentInput = null;
-    let midiAccess = null;
+    // Computer keyboard as a controller (Ableton-style layout, physical key codes)
+    // Home row plays white keys, the row above plays black keys.
+    const QWERTY_NOTES = {
+        KeyA: 0, KeyW: 1, KeyS: 2, KeyE: 3, KeyD: 4, KeyF: 5, KeyT: 6, KeyG: 7,
+        KeyY: 8, KeyH: 9, KeyU: 10, KeyJ: 11, KeyK: 12, KeyO: 13, KeyL: 14, KeyP: 15,
+        Semicolon: 16, Quote: 17,
+    };
+    const OCTAVE_DOWN_KEY = "KeyZ";
+    const OCTAVE_UP_KEY = "KeyX";
+    const VELOCITY_DOWN_KEY = "KeyC";
+    const VELOCITY_UP_KEY = "KeyV";
+    const VELOCITY_STEP = 20;
+    const COMPUTER_KEYBOARD = { id: "computer-keyboard", name: "Computer Keyboard" };
 
-    /**
-     * Jackonika.init(options)
-     * options: {
-     *   selectorId?: string,           // default: "midiDeviceSelector"
-     *   onNoteOn?: (note, vel) => void,
-     *   onNoteOff?: (note) => void
-     * }
-     */
-    async function init(options = {}) {
+    const SUSTAIN_CC = 64;
+
+    // Turn raw bytes into a typed event, or null for messages Jackonika doesn't model
+    function decodeMessage(data) {
+        const [status, d1 = 0, d2 = 0] = data;
+
+        // System real-time: no channel
+        switch (status) {
+            case 0xf8: return { type: "clock", channel: null };
+            case 0xfa: return { type: "start", channel: null };
+            case 0xfb: return { type: "continue", channel: null };
+            case 0xfc: return { type: "stop", channel: null };
+        }
+        if (status >= 0xf0) return null;
+
+        const channel = (status & 0x0f) + 1;
+        switch (status & 0xf0) {
+            case 0x80:
+                return { type: "noteoff", channel, note: d1, velocity: d2 };
+            case 0x90:
+                // Note On with velocity 0 is a Note Off by convention
+                return d2 > 0
+                    ? { type: "noteon", channel, note: d1, velocity: d2 }
+                    : { type: "noteoff", channel, note: d1, velocity: 0 };
+            case 0xa0:
+                return { type: "polypressure", channel, note: d1, pressure: d2 };
+            case 0xb0:
+                return { type: "controlchange", channel, controller: d1, value: d2 };
+            case 0xc0:
+                return { type: "programchange", channel, program: d1 };
+            case 0xd0:
+                return { type: "channelpressure", channel, pressure: d1 };
+            case 0xe0: {
+                const value = ((d2 << 7) | d1) - 8192;
+                return { type: "pitchbend", channel, value, amount: value / (value < 0 ? 8192 : 8191) };
+            }
+        }
+        return null;
+    }
+
+    function isTypingTarget(el) {
+        if (!el) return false;
+        const tag = el.tagName;
+        return tag === "INPUT" || tag === "TEXTAREA" || tag === "SELECT" || el.isContentEditable;
+    }
+
+    function createJackonikaInstance(options) {
         const {
             selectorId = "midiDeviceSelector",
             onNoteOn,
             onNoteOff,
+            computerKeyboard = false,
+            debug = false,
         } = options;
+        const log = debug ? (...args) => console.log(...args) : () => {};
+
+        const hub = window.TonikaMIDI;
+        let midiAccess = null;
+        let selector = null;
+        let ownsSelector = false; // created by this instance, removed on destroy
+        let destroyed = false;
+
+        let keyboardOctave = 4; // KeyA plays C4 (MIDI 60)
+        let keyboardVelocity = 100;
+        const keyboardHeld = new Map(); // key code -> MIDI note it started
+
+        // Routing (see init options)
+        let inputSelection = null; // "all", a Set of input ids/names, or null until the first device shows up
+        let channelFilter = null; // Set of channels 1-16 to accept, or null for all
+        let channelMap = {}; // incoming channel -> channel reported to handlers
+        let splits = [];
+        const synth = options.synth || null;
+        const defaultHandlers = { onNoteOn, onNoteOff };
+        const eventHandlers = { // decoded type -> callback
+            controlchange: options.onControlChange,
+            sustain: options.onSustain,
+            pitchbend: options.onPitchBend,
+            channelpressure: options.onChannelPressure,
+            polypressure: options.onPolyPressure,
+            programchange: options.onProgramChange,
+            clock: options.onClock,
+            start: options.onStart,
+            stop: options.onStop,
+            continue: options.onContinue,
+        };
+        const onEvent = options.onEvent || null;
+        const activeRoutes = new Map(); // "inputId:channel:note" -> { handlers, note, source } of the note on
+
+        async function connect() {
+            if (!hub) {
+                console.warn("TonikaMIDI not found. Load tonika-midi.js before Jackonika.");
+                return;
+            }
+
+            try {
+                midiAccess = await hub.request();
+            } catch (err) {
+                console.warn("Failed to get MIDI access:", err);
+                return;
+            }
+            if (destroyed) return;
+
+            hub.addEventListener("statechange", refreshDevices);
+            hub.addEventListener("message", handleHubMessage);
 
-        if (!navigator.requestMIDIAccess) {
-            console.warn("Web MIDI API not supported in this browser.");
-            return;
+            selector = resolveSelector();
+            selector?.addEventListener("change", handleSelectorChange);
+
+            refreshDevices();
         }
 
-        try {
-            midiAccess = await navigator.requestMIDIAccess({ sysex: false });
-        } catch (err) {
-            console.warn("Failed to get MIDI access:", err);
-            return;
+        // An element, an id, or false for no device picker; a missing id gets a new <select>
+        function resolveSelector() {
+            if (options.selector === false) return null;
+
+            const wanted = options.selector || selectorId;
+            if (typeof wanted !== "string") return wanted;
+
+            let el = document.getElementById(wanted);
+            if (!el) {
+                el = document.createElement("select");
+                el.id = wanted;
+                document.body.insertBefore(el, document.body.firstChild);
+                ownsSelector = true;
+            }
+            return el;
         }
 
-        midiAccess.onstatechange = refreshDevices;
+        function handleSelectorChange() {
+            if (selector.value) setInputs(selector.value === "*" ? "all" : [selector.value]);
+        }
 
-        // Ensure a selector exists
-        let selector = document.getElementById(selectorId);
-        if (!selector) {
-            selector = document.createElement("select");
-            selector.id = selectorId;
-            document.body.insertBefore(selector, document.body.firstChild);
+        function handleHubMessage(evt) {
+            if (!isListening(evt.input)) return;
+            handleMIDIMessage(evt, { id: evt.input.id, name: evt.input.name }, evt.timeStamp);
         }
-        selector.addEventListener("change", () => setCurrentInput(selector.value, { onNoteOn, onNoteOff }));
 
-        refreshDevices({ onNoteOn, onNoteOff });
-    }
+        function refreshDevices() {
+            if (!midiAccess) return;
+            const inputs = Array.from(midiAccess.inputs.values());
 
-    function refreshDevices(ctx = {}) {
-        const selector = document.getElementById("midiDeviceSelector");
-        if (!selector || !midiAccess) return;
+            if (selector) {
+                selector.innerHTML = ""; // clear old options
 
-        selector.innerHTML = ""; // clear old options
+                if (inputs.length > 1) {
+                    const all = document.createElement("option");
+                    all.value = "*";
+                    all.textContent = "All inputs";
+                    selector.appendChild(all);
+                }
+                inputs.forEach((input) => {
+                    const opt = document.createElement("option");
+                    opt.value = input.id;
+                    opt.textContent = `${input.name} (${input.manufacturer || "Unknown"})`;
+                    selector.appendChild(opt);
+                });
+            }
 
-        const inputs = Array.from(midiAccess.inputs.values());
-        inputs.forEach((input, i) => {
-            const opt = document.createElement("option");
-            opt.value = input.id;
-            opt.textContent = `${input.name} (${input.manufacturer || "Unknown"})`;
-            selector.appendChild(opt);
-            if (i === 0) setCurrentInput(input.id, ctx); // default: first device
-        });
-    }
+            // Default: first device
+            if (inputSelection === null && inputs.length > 0) setInputs([inputs[0].id]);
+            else syncSelector();
+        }
 
-    function setCurrentInput(inputId, { onNoteOn, onNoteOff }) {
-        if (currentInput) currentInput.onmidimessage = null;
+        function syncSelector() {
+            if (!selector) return;
 
-        currentInput = midiAccess.inputs.get(inputId);
-        if (currentInput) {
-            console.log(`🎹 Connected to: ${currentInput.name}`);
-            currentInput.onmidimessage = (evt) => handleMIDIMessage(evt, { onNoteOn, onNoteOff });
+            selector.querySelector('option[value=""]')?.remove();
+            if (inputSelection === "all") {
+                selector.value = "*";
+            } else if (inputSelection && inputSelection.size === 1) {
+                const [wanted] = inputSelection;
+                const input = Array.from(midiAccess?.inputs.values() || [])
+                    .find((i) => i.id === wanted || i.name === wanted);
+                if (input) selector.value = input.id;
+            } else if (inputSelection && inputSelection.size > 1) {
+                const opt = document.createElement("option");
+                opt.value = "";
+                opt.disabled = true;
+                opt.textContent = `${inputSelection.size} inputs`;
+                selector.appendChild(opt);
+                selector.value = "";
+            }
+        }
+
+        function isListening(input) {
+            if (inputSelection === "all") return true;
+            return !!inputSelection && (inputSelection.has(input.id) || inputSelection.has(input.name));
+        }
+
+        function findSplit(note, source) {
+            return splits.find((split) =>
+                (split.input == null || split.input === source.id || split.input === source.name) &&
+                (!split.channels || split.channels.includes(source.channel)) &&
+                note >= (split.low ?? 0) &&
+                note <= (split.high ?? 127),
+            );
+        }
+
+        // Applies channel filter/remap, then hands the note to its split or the default handlers
+        function routeNote(isOn, note, vel, source) {
+            if (channelFilter && !channelFilter.has(source.channel)) return;
+            dispatchNote(isOn, note, vel, { ...source, channel: channelMap[source.channel] ?? source.channel });
+        }
+
+        function dispatchNote(isOn, note, vel, routed) {
+            const key = `${routed.id}:${routed.channel}:${note}`;
+
+            if (isOn) {
+                const handlers = findSplit(note, routed) || defaultHandlers;
+                activeRoutes.set(key, { handlers, note, source: routed });
+                if (synth) synth.noteOn(note, vel);
+                handlers.onNoteOn?.(note, vel, routed);
+            } else {
+                // Same handler as the note on, even if splits changed in between
+                const handlers = activeRoutes.get(key)?.handlers || findSplit(note, routed) || defaultHandlers;
+                activeRoutes.delete(key);
+                if (synth) synth.noteOff(note);
+                handlers.onNoteOff?.(note, routed);
+            }
+        }
+
+        function emitEvent(evt) {
+            eventHandlers[evt.type]?.(evt);
+            onEvent?.(evt);
         }
-    }
 
-    function handleMIDIMessage({ data }, { onNoteOn, onNoteOff }) {
-        const [status, note, vel] = data;
-        const type = status & 0xf0;
+        function handleMIDIMessage({ data }, input, timeStamp) {
+            const decoded = decodeMessage(data);
+            if (!decoded) return;
 
-        if (type === 0x90 && vel > 0) {
-            console.log(`NOTE ON  -> ${note} vel=${vel}`);
-            onNoteOn?.(note, vel);
-        } else if (type === 0x80) {
-            console.log(`NOTE OFF -> ${note} (real Note Off)`);
-            onNoteOff?.(note);
-        } else if (type === 0x90 && vel === 0) {
-            console.log(`NOTE OFF -> ${note} (Note On with vel=0 convention)`);
-            onNoteOff?.(note);
+            if (decoded.channel !== null) {
+                if (channelFilter && !channelFilter.has(decoded.channel)) return;
+                decoded.channel = channelMap[decoded.channel] ?? decoded.channel;
+            }
+            const evt = { ...decoded, source: { ...input, channel: decoded.channel }, timeStamp };
+
+            if (evt.type === "noteon" || evt.type === "noteoff") {
+                dispatchNote(evt.type === "noteon", evt.note, evt.velocity, evt.source);
+                onEvent?.(evt);
+                return;
+            }
+
+            emitEvent(evt);
+            if (evt.type === "controlchange" && evt.controller === SUSTAIN_CC) {
+                emitEvent({ ...evt, type: "sustain", down: evt.value >= 64 });
+            }
+        }
+
+        /**
+         * Choose which inputs are passed on
+         * @param {"all"|string[]} inputs - Input ids or names
+         */
+        function setInputs(inputs) {
+            inputSelection = inputs === "all" ? "all" : new Set(inputs);
+
+            const names = Array.from(midiAccess?.inputs.values() || [])
+                .filter(isListening)
+                .map((i) => i.name);
+            if (names.length) log(`🎹 Listening to: ${names.join(", ")}`);
+            syncSelector();
+        }
+
+        /**
+         * @param {number[]|null} channels - Channels 1-16 to accept, or null for all
+         */
+        function setChannels(channels) {
+            channelFilter = channels ? new Set(channels) : null;
+        }
+
+        /**
+         * @param {Object} map - { [incomingChannel]: reportedChannel }
+         */
+        function setChannelMap(map) {
+            channelMap = { ...map };
+        }
+
+        /**
+         * @param {Array} list - Split definitions, see init options
+         */
+        function setSplits(list) {
+            splits = [...list];
+        }
+
+        function handleKeyDown(evt) {
+            if (evt.repeat || evt.ctrlKey || evt.metaKey || evt.altKey) return;
+            if (isTypingTarget(evt.target)) return;
+
+            if (evt.code === OCTAVE_DOWN_KEY || evt.code === OCTAVE_UP_KEY) {
+                keyboardOctave = Math.max(-1, Math.min(8, keyboardOctave + (evt.code === OCTAVE_UP_KEY ? 1 : -1)));
+                log(`⌨️ Octave: C${keyboardOctave}`);
+                return;
+            }
+            if (evt.code === VELOCITY_DOWN_KEY || evt.code === VELOCITY_UP_KEY) {
+                const step = evt.code === VELOCITY_UP_KEY ? VELOCITY_STEP : -VELOCITY_STEP;
+                keyboardVelocity = Math.max(1, Math.min(127, keyboardVelocity + step));
+                log(`⌨️ Velocity: ${keyboardVelocity}`);
+                return;
+            }
+
+            const offset = QWERTY_NOTES[evt.code];
+            if (offset === undefined || keyboardHeld.has(evt.code)) return;
+
+            const note = (keyboardOctave + 1) * 12 + offset;
+            if (note > 127) return;
+
+            evt.preventDefault();
+            keyboardHeld.set(evt.code, note);
+            routeNote(true, note, keyboardVelocity, { ...COMPUTER_KEYBOARD, channel: 1 });
+        }
+
+        function handleKeyUp(evt) {
+            // Release the note the key started, even if the octave changed meanwhile
+            const note = keyboardHeld.get(evt.code);
+            if (note === undefined) return;
+            keyboardHeld.delete(evt.code);
+            routeNote(false, note, 0, { ...COMPUTER_KEYBOARD, channel: 1 });
         }
+
+        function releaseKeyboardNotes() {
+            keyboardHeld.forEach((note) => routeNote(false, note, 0, { ...COMPUTER_KEYBOARD, channel: 1 }));
+            keyboardHeld.clear();
+        }
+
+        function initComputerKeyboard() {
+            window.addEventListener("keydown", handleKeyDown);
+            window.addEventListener("keyup", handleKeyUp);
+            // Keyup never arrives once focus leaves the page
+            window.addEventListener("blur", releaseKeyboardNotes);
+        }
+
+        /**
+         * Unbind every listener and release notes still held through this bridge
+         */
+        function destroy() {
+            if (destroyed) return;
+            destroyed = true;
+
+            window.removeEventListener("keydown", handleKeyDown);
+            window.removeEventListener("keyup", handleKeyUp);
+            window.removeEventListener("blur", releaseKeyboardNotes);
+            keyboardHeld.clear();
+
+            if (hub) {
+                hub.removeEventListener("statechange", refreshDevices);
+                hub.removeEventListener("message", handleHubMessage);
+            }
+
+            // No note offs will arrive any more; close the ones still open
+            activeRoutes.forEach(({ handlers, note, source }) => {
+                if (synth) synth.noteOff(note);
+                handlers.onNoteOff?.(note, source);
+            });
+            activeRoutes.clear();
+
+            if (selector) {
+                selector.removeEventListener("change", handleSelectorChange);
+                if (ownsSelector) selector.remove();
+                else selector.innerHTML = "";
+                selector = null;
+            }
+        }
+
+        if (options.inputs) setInputs(options.inputs);
+        setChannels(options.channels || null);
+        setChannelMap(options.channelMap || {});
+        setSplits(options.splits || []);
+
+        // Works without any MIDI hardware or Web MIDI support
+        if (computerKeyboard) initComputerKeyboard();
+
+        const instance = {
+            setInputs,
+            setChannels,
+            setChannelMap,
+            setSplits,
+            destroy,
+        };
+        // Resolves once devices are listed (or MIDI turned out to be unavailable)
+        instance.ready = connect().then(() => instance);
+        return instance;
+    }
+
+    /**
+     * Jackonika.init(options) — creates an independent bridge; call it once per bridge
+     * returns: { ready: Promise<instance>, setInputs, setChannels, setChannelMap, setSplits, destroy }
+     * options: {
+     *   selector?: HTMLSelectElement | string | false,  // device picker element or id; false for none
+     *   selectorId?: string,           // default: "midiDeviceSelector" (created if missing)
+     *   onNoteOn?: (note, vel, source) => void,   // source: { id, name, channel } of the input
+     *   onNoteOff?: (note, source) => void,
+     *   inputs?: "all" | string[],      // ids or names to listen to; default: the selector's choice
+     *   channels?: number[],            // only pass these channels (1-16); default: all
+     *   channelMap?: { [from]: to },    // report channel `from` as `to`, e.g. { 10: 1 }
+     *   splits?: Array<{                // first match handles the note instead of onNoteOn/onNoteOff
+     *     input?: string,               //   id or name; default: any input
+     *     channels?: number[],          //   after remapping; default: any
+     *     low?: number, high?: number,  //   inclusive note range; default: 0-127
+     *     onNoteOn?, onNoteOff?
+     *   }>,
+     *   onControlChange?: (evt) => void,   // { type: "controlchange", controller, value, channel, source, timeStamp }
+     *   onSustain?: (evt) => void,         // { type: "sustain", down, value, ... } — CC64, also sent to onControlChange
+     *   onPitchBend?: (evt) => void,       // { type: "pitchbend", value: -8192..8191, amount: -1..1, ... }
+     *   onChannelPressure?: (evt) => void, // { type: "channelpressure", pressure, ... }
+     *   onPolyPressure?: (evt) => void,    // { type: "polypressure", note, pressure, ... }
+     *   onProgramChange?: (evt) => void,   // { type: "programchange", program, ... }
+     *   onClock?: (evt) => void,           // { type: "clock", channel: null, ... } — 24 per quarter note
+     *   onStart?, onStop?, onContinue?: (evt) => void,
+     *   onEvent?: (evt) => void,           // every decoded event, notes included
+     *   synth?: { noteOn, noteOff },    // e.g. TonikaSynth.shared(), plays the input directly
+     *   computerKeyboard?: boolean      // default: false — A–' play notes, Z/X octave, C/V velocity;
+     *                                   //   turn on for one bridge per page, each one listens to the window
+     *   debug?: boolean                 // default: false — log input, octave and velocity changes to the console
+     * }
+     */
+    function init(options = {}) {
+        return createJackonikaInstance(options);
     }
 
     // Expose globally
-    window.Jackonika = { init };
-})();
\ No newline at end of file
+    window.Jackonika = {
+        init,
+        COMPUTER_KEYBOARD,
+    };
+})();
@@ -4,8 +4,17 @@
  */
 
 class Midonika {
-  constructor(containerId) {
+  /**
+   * @param {string|HTMLElement} containerId - Element (or its id) to render into
+   * @param {Object} [options]
+   * @param {boolean} [options.keepLog=false] - Record every message in an unbounded log
+   * @param {boolean} [options.sysex=false] - Ask for SysEx access right away
+   * @param {number} [options.stuckNoteSeconds=5] - Report notes held longer than this as stuck
+   */
+  constructor(containerId, options = {}) {
     this.containerId = containerId;
+    this.container = null; // resolved when the UI is rendered
+    this.destroyed = false;
     this.midiAccess = null;
     this.midiInputs = new Map();
     this.midiOutputs = new Map();
@@ -13,20 +22,59 @@ class Midonika {
     this.eventListeners = [];
     this.maxEvents = 50; // Maximum number of events to display
     this.events = [];
+    this.lastEventTime = null; // high-resolution time of the previous message, for deltas
+    this.paused = false;
+    this.logging = !!options.keepLog;
+    this.log = []; // every message while logging, oldest first; ignores filters and pause
+    this.replayTimers = new Set();
+    this.finishReplay = null; // resolves the pending importLog() promise
+    this.sendOutputId = null; // output chosen in the send panel
+    this.sendTimers = new Set(); // pending note offs from the send panel
+    this.repeatTimer = null;
+    this.sysexRequested = !!options.sysex;
+    this.sysexDumps = []; // SysEx messages received (or loaded from .syx), oldest first
+    this.identities = new Map(); // input id -> Identity Reply details
+    this.deviceStats = new Map(); // "input:<id>" / "output:<id>" -> counters, see recordActivity()
+    this.stuckNoteMs = (options.stuckNoteSeconds ?? 5) * 1000;
+    this.activityTimer = null;
+
+    // Monitor filters: which messages make it into the event list
+    this.filters = {
+      types: new Set(Object.keys(Midonika.TYPE_GROUPS)),
+      channels: new Set(Array.from({ length: 16 }, (_, i) => i + 1)),
+      device: "*", // input id, or "*" for all
+    };
 
     void this.init();
   }
 
   async init() {
     try {
-      // Request MIDI access
-      this.midiAccess = await navigator.requestMIDIAccess();
+      // Shared access: other Tonika modules keep receiving the same inputs
+      const hub = window.TonikaMIDI;
+      if (!hub) {
+        throw new Error("TonikaMIDI not found. Load tonika-midi.js before Midonika.");
+      }
+      this.midiAccess = this.sysexRequested
+        ? await hub.request({ sysex: true }).catch((error) => {
+            console.warn("SysEx access denied, continuing without it:", error);
+            return hub.request();
+          })
+        : await hub.request();
+      if (this.destroyed) return;
       this.ready = true;
 
       // Set up event listeners
-      this.midiAccess.onstatechange = () => {
+      this.handleHubStateChange = () => {
+        // Enabling SysEx replaces the shared access
+        this.midiAccess = hub.getMidiAccess() || this.midiAccess;
         this.updateDeviceLists();
       };
+      this.handleHubMessage = (event) => {
+        this.handleMidiMessage(event, event.input.name, event.input.id);
+      };
+      hub.addEventListener("statechange", this.handleHubStateChange);
+      hub.addEventListener("message", this.handleHubMessage);
 
       // Initial device list update
       this.updateDeviceLists();
@@ -36,41 +84,173 @@ class Midonika {
       this.updateUI();
     } catch (error) {
       console.error("Failed to get MIDI access:", error);
-      this.createErrorUI();
+      if (!this.destroyed) this.createErrorUI();
     }
   }
 
+  resolveContainer() {
+    this.container =
+      typeof this.containerId === "string"
+        ? document.getElementById(this.containerId)
+        : this.containerId;
+    return this.container;
+  }
+
+  /**
+   * First element in this instance's UI with class midonika-<name>
+   * @param {string} name
+   * @returns {HTMLElement|null}
+   */
+  find(name) {
+    return this.container ? this.container.querySelector(`.midonika-${name}`) : null;
+  }
+
+  findAll(selector) {
+    return this.container ? this.container.querySelectorAll(selector) : [];
+  }
+
   createUI() {
-    const container = document.getElementById(this.containerId);
+    const container = this.resolveContainer();
     if (!container) {
       console.error(`Container with ID '${this.containerId}' not found`);
       return;
     }
 
+    const typeFilters = Object.entries(Midonika.TYPE_GROUPS)
+      .map(
+        ([group, label]) => `
+                <label class="midonika-filter-type">
+                    <input type="checkbox" value="${group}" ${this.filters.types.has(group) ? "checked" : ""}>
+                    ${label}
+                </label>`,
+      )
+      .join("");
+    const channelOptions = Array.from({ length: 16 }, (_, i) => `<option value="${i + 1}">${i + 1}</option>`).join("");
+    const channelFilters = Array.from({ length: 16 }, (_, i) => i + 1)
+      .map(
+        (ch) =>
+          `<button class="midonika-channel-btn${this.filters.channels.has(ch) ? " active" : ""}" data-channel="${ch}">${ch}</button>`,
+      )
+      .join("");
+
     container.innerHTML = `
             <div class="midonika-container">
                 <div class="midonika-header">
-                    <span class="midonika-status" id="midonika-status">MIDI Ready</span>
-                    <button class="midonika-clear-btn" id="midonika-clear">Clear</button>
+                    <span class="midonika-status">MIDI Ready</span>
+                    <span class="midonika-header-actions">
+                        <button class="midonika-clear-btn midonika-pause">Pause</button>
+                        <button class="midonika-clear-btn midonika-clear">Clear</button>
+                    </span>
                 </div>
                 
                 <div class="midonika-section">
                     <h4>MIDI Inputs</h4>
-                    <div class="midonika-device-list" id="midonika-inputs">
+                    <div class="midonika-device-list midonika-inputs">
                         No inputs available
                     </div>
                 </div>
                 
                 <div class="midonika-section">
                     <h4>MIDI Outputs</h4>
-                    <div class="midonika-device-list" id="midonika-outputs">
+                    <div class="midonika-device-list midonika-outputs">
                         No outputs available
                     </div>
                 </div>
                 
+                <div class="midonika-section">
+                    <h4>Activity</h4>
+                    <div class="midonika-type-counts">No messages yet</div>
+                    <div class="midonika-stuck-notes"></div>
+                </div>
+
+                <details class="midonika-section midonika-panel">
+                    <summary>Send</summary>
+                    <form class="midonika-send">
+                        <div class="midonika-send-row">
+                            <select class="midonika-input midonika-send-output" name="output">
+                                <option value="">No outputs</option>
+                            </select>
+                            <select class="midonika-input" name="type">
+                                <option value="note">Note</option>
+                                <option value="controlchange">CC</option>
+                                <option value="programchange">Program</option>
+                                <option value="pitchbend">Pitch Bend</option>
+                                <option value="raw">Raw hex</option>
+                            </select>
+                            <label data-for="note controlchange programchange pitchbend">Ch
+                                <select class="midonika-input" name="channel">${channelOptions}</select>
+                            </label>
+                        </div>
+                        <div class="midonika-send-row">
+                            <label data-for="note">Note <input class="midonika-input" name="note" type="number" min="0" max="127" value="60"></label>
+                            <label data-for="note">Vel <input class="midonika-input" name="velocity" type="number" min="1" max="127" value="100"></label>
+                            <label data-for="note">Len ms <input class="midonika-input" name="duration" type="number" min="1" value="250"></label>
+                            <label data-for="controlchange">CC <input class="midonika-input" name="controller" type="number" min="0" max="127" value="1"></label>
+                            <label data-for="controlchange">Value <input class="midonika-input" name="value" type="number" min="0" max="127" value="64"></label>
+                            <label data-for="programchange">Program <input class="midonika-input" name="program" type="number" min="0" max="127" value="0"></label>
+                            <label data-for="pitchbend">Bend <input class="midonika-input" name="bend" type="number" min="-8192" max="8191" value="0"></label>
+                            <label data-for="raw">Bytes <input class="midonika-input midonika-send-hex" name="hex" type="text" placeholder="90 3C 64"></label>
+                        </div>
+                        <div class="midonika-send-row">
+                            <label><input type="checkbox" name="repeat"> Repeat every</label>
+                            <input class="midonika-input" name="interval" type="number" min="10" value="500"> ms
+                            <button class="midonika-btn midonika-send-btn" type="submit">Send</button>
+                            <button class="midonika-btn midonika-panic-btn midonika-panic" type="button">Panic</button>
+                        </div>
+                        <div class="midonika-send-status"></div>
+                    </form>
+                </details>
+
+                <details class="midonika-section midonika-panel">
+                    <summary>SysEx</summary>
+                    <div class="midonika-send-row midonika-sysex-actions">
+                        <button class="midonika-btn midonika-sysex-enable" data-sysex-action="enable">Enable SysEx</button>
+                        <button class="midonika-btn" data-sysex-action="identify" data-needs-sysex>Identify devices</button>
+                        <span class="midonika-sysex-count">0 SysEx messages</span>
+                        <span class="midonika-log-actions">
+                            <button class="midonika-btn" data-sysex-action="save">Save .syx</button>
+                            <button class="midonika-btn" data-sysex-action="load">Load .syx</button>
+                            <button class="midonika-btn" data-sysex-action="send" data-needs-sysex>Send to output</button>
+                            <button class="midonika-btn" data-sysex-action="clear">Clear</button>
+                        </span>
+                        <input class="midonika-syx-file" type="file" accept=".syx,application/octet-stream" hidden>
+                    </div>
+                    <div class="midonika-identities">No devices identified</div>
+                </details>
+
+                <div class="midonika-section">
+                    <h4>Log</h4>
+                    <div class="midonika-log-bar">
+                        <label class="midonika-filter-type">
+                            <input class="midonika-log-toggle" type="checkbox" ${this.logging ? "checked" : ""}>
+                            Keep full log
+                        </label>
+                        <span class="midonika-log-count">0 logged</span>
+                        <span class="midonika-log-actions">
+                            <button class="midonika-btn" data-log-action="json">JSON</button>
+                            <button class="midonika-btn" data-log-action="csv">CSV</button>
+                            <button class="midonika-btn" data-log-action="text">Text</button>
+                            <button class="midonika-btn" data-log-action="import">Import</button>
+                            <button class="midonika-btn" data-log-action="clear">Clear log</button>
+                        </span>
+                        <input class="midonika-import-file" type="file" accept=".json,.csv,application/json,text/csv" hidden>
+                    </div>
+                </div>
+
                 <div class="midonika-section">
                     <h4>Live MIDI Events</h4>
-                    <div class="midonika-events" id="midonika-events">
+                    <div class="midonika-filters">
+                        <div class="midonika-filter-row midonika-type-filters">${typeFilters}</div>
+                        <div class="midonika-filter-row midonika-channel-filters">
+                            <button class="midonika-channel-btn" data-channel="all">All</button>${channelFilters}
+                        </div>
+                        <div class="midonika-filter-row">
+                            <select class="midonika-device-filter">
+                                <option value="*">All devices</option>
+                            </select>
+                        </div>
+                    </div>
+                    <div class="midonika-events">
                         No events yet...
                     </div>
                 </div>
@@ -81,13 +261,168 @@ class Midonika {
     this.injectCSS();
 
     // Set up a clear button
-    document.getElementById("midonika-clear").addEventListener("click", () => {
+    this.find("clear").addEventListener("click", () => {
       this.clearEvents();
     });
+
+    this.find("pause").addEventListener("click", () => {
+      if (this.paused) this.resume();
+      else this.pause();
+    });
+
+    // Filters
+    this
+      .find("type-filters")
+      .addEventListener("change", (e) => {
+        const types = new Set(this.filters.types);
+        if (e.target.checked) types.add(e.target.value);
+        else types.delete(e.target.value);
+        this.setFilters({ types: [...types] });
+      });
+
+    this
+      .find("channel-filters")
+      .addEventListener("click", (e) => {
+        const value = e.target.dataset?.channel;
+        if (!value) return;
+
+        if (value === "all") {
+          // Toggle between every channel and none
+          this.setFilters({ channels: this.filters.channels.size === 16 ? [] : "all" });
+          return;
+        }
+        const channels = new Set(this.filters.channels);
+        const ch = parseInt(value, 10);
+        if (channels.has(ch)) channels.delete(ch);
+        else channels.add(ch);
+        this.setFilters({ channels: [...channels] });
+      });
+
+    this
+      .find("device-filter")
+      .addEventListener("change", (e) => {
+        this.setFilters({ device: e.target.value });
+      });
+
+    // Log
+    this
+      .find("log-toggle")
+      .addEventListener("change", (e) => {
+        this.setLogging(e.target.checked);
+      });
+
+    const importFile = this.find("import-file");
+    this
+      .find("log-actions")
+      .addEventListener("click", (e) => {
+        const action = e.target.dataset?.logAction;
+        if (action === "import") importFile.click();
+        else if (action === "clear") this.clearLog();
+        else if (action) this.downloadLog(action);
+      });
+
+    importFile.addEventListener("change", async () => {
+      const file = importFile.files[0];
+      importFile.value = "";
+      if (!file) return;
+
+      try {
+        await this.importLog(await file.text());
+      } catch (error) {
+        console.error("Failed to import MIDI log:", error);
+        alert(`Could not import ${file.name}: ${error.message}`);
+      }
+    });
+
+    this.updateLogCount();
+
+    // Send panel
+    const sendForm = this.find("send");
+    const showSendFields = () => {
+      const type = sendForm.elements.type.value;
+      sendForm.querySelectorAll("[data-for]").forEach((field) => {
+        field.hidden = !field.dataset.for.split(" ").includes(type);
+      });
+    };
+    sendForm.elements.type.addEventListener("change", showSendFields);
+    showSendFields();
+
+    sendForm.elements.output.addEventListener("change", (e) => {
+      this.sendOutputId = e.target.value || null;
+    });
+
+    sendForm.addEventListener("submit", (e) => {
+      e.preventDefault();
+      if (this.repeatTimer) {
+        this.stopRepeat();
+        return;
+      }
+
+      const form = sendForm.elements;
+      const spec = {
+        type: form.type.value,
+        channel: parseInt(form.channel.value, 10),
+        note: parseInt(form.note.value, 10),
+        velocity: parseInt(form.velocity.value, 10),
+        duration: parseInt(form.duration.value, 10),
+        controller: parseInt(form.controller.value, 10),
+        value: parseInt(form.value.value, 10),
+        program: parseInt(form.program.value, 10),
+        bend: parseInt(form.bend.value, 10),
+        hex: form.hex.value,
+      };
+
+      try {
+        if (form.repeat.checked) {
+          this.startRepeat(this.sendOutputId, spec, parseInt(form.interval.value, 10));
+        } else {
+          this.sendComposed(this.sendOutputId, spec);
+        }
+      } catch (error) {
+        this.setSendStatus(error.message, true);
+      }
+    });
+
+    this.find("panic").addEventListener("click", () => {
+      this.panic(this.sendOutputId);
+    });
+
+    // SysEx panel
+    const syxFile = this.find("syx-file");
+    this
+      .find("sysex-actions")
+      .addEventListener("click", async (e) => {
+        const action = e.target.dataset?.sysexAction;
+        try {
+          if (action === "enable") await this.enableSysex();
+          else if (action === "identify") this.requestIdentity();
+          else if (action === "save") this.saveSyx();
+          else if (action === "load") syxFile.click();
+          else if (action === "send") await this.sendSyx(this.sendOutputId);
+          else if (action === "clear") this.clearSysex();
+        } catch (error) {
+          console.error("SysEx action failed:", error);
+          this.setSysexStatus(error.message);
+        }
+      });
+
+    syxFile.addEventListener("change", async () => {
+      const file = syxFile.files[0];
+      syxFile.value = "";
+      if (!file) return;
+
+      const count = this.loadSyx(await file.arrayBuffer());
+      this.setSysexStatus(`Loaded ${count} SysEx message${count === 1 ? "" : "s"} from ${file.name}`);
+    });
+
+    this.updateSysexUI();
+
+    // LEDs and rates fade on their own, so refresh them on a timer
+    this.activityTimer = setInterval(() => this.updateActivityDisplay(), 200);
   }
 
   createErrorUI() {
-    const container = document.getElementById(this.containerId);
+    const container = this.resolveContainer();
     if (!container) return;
 
     container.innerHTML = `
@@ -110,8 +445,8 @@ class Midonika {
         style.id = "midonika-styles";
         style.textContent = `
     .midonika-container {
-      width: 400px;
-      height: 300px;
+      width: 520px;
+      height: 560px;
       border: 1px solid #ccc;
       font-family: monospace;
       font-size: 12px;
@@ -152,6 +487,35 @@ class Midonika {
       background: #888;
     }
 
+    .midonika-btn {
+      background: #eee;
+      border: 1px solid #bbb;
+      color: #333;
+      padding: 1px 6px;
+      font-family: monospace;
+      font-size: 10px;
+      cursor: pointer;
+    }
+
+    .midonika-btn:hover {
+      background: #ddd;
+    }
+
+    .midonika-btn.active {
+      background: #c77d00;
+      border-color: #c77d00;
+      color: white;
+    }
+
+    .midonika-clear-btn.active {
+      background: #c77d00;
+    }
+
+    .midonika-header-actions {
+      display: flex;
+      gap: 4px;
+    }
+
     /* Sections */
     .midonika-section {
       padding: 8px;
@@ -194,6 +558,216 @@ class Midonika {
       border-bottom: none;
     }
 
+    /* Activity */
+    .midonika-device-item {
+      display: flex;
+      align-items: center;
+      gap: 6px;
+    }
+
+    .midonika-device-name {
+      flex: 1;
+      min-width: 0;
+      overflow: hidden;
+      white-space: nowrap;
+      text-overflow: ellipsis;
+    }
+
+    .midonika-led {
+      flex-shrink: 0;
+      width: 8px;
+      height: 8px;
+      border-radius: 50%;
+      background: #ccc;
+    }
+
+    .midonika-led.on {
+      background: #2ecc40;
+      box-shadow: 0 0 4px #2ecc40;
+    }
+
+    .midonika-channel-leds {
+      display: flex;
+      gap: 1px;
+    }
+
+    .midonika-channel-leds span {
+      width: 5px;
+      height: 8px;
+      background: #e4e4e4;
+    }
+
+    .midonika-channel-leds span.used {
+      background: #b8d4b8;
+    }
+
+    .midonika-channel-leds span.on {
+      background: #2ecc40;
+    }
+
+    .midonika-rate {
+      width: 44px;
+      color: #666;
+      text-align: right;
+    }
+
+    .midonika-type-counts {
+      color: #333;
+    }
+
+    .midonika-stuck-notes {
+      color: #c0392b;
+    }
+
+    /* Filters */
+    .midonika-filters {
+      margin-bottom: 4px;
+    }
+
+    .midonika-filter-row {
+      display: flex;
+      flex-wrap: wrap;
+      align-items: center;
+      gap: 2px 8px;
+      margin-bottom: 3px;
+    }
+
+    .midonika-filter-type {
+      display: flex;
+      align-items: center;
+      gap: 2px;
+      font-size: 10px;
+      color: #333;
+      cursor: pointer;
+    }
+
+    .midonika-channel-filters {
+      gap: 2px;
+    }
+
+    .midonika-channel-btn {
+      min-width: 22px;
+      padding: 1px 3px;
+      border: 1px solid #bbb;
+      background: #eee;
+      color: #999;
+      font-family: monospace;
+      font-size: 10px;
+      cursor: pointer;
+    }
+
+    .midonika-channel-btn.active {
+      background: #333;
+      border-color: #333;
+      color: white;
+    }
+
+    .midonika-device-filter {
+      font-family: monospace;
+      font-size: 10px;
+    }
+
+    /* Collapsible panels */
+    .midonika-panel summary {
+      font-size: 11px;
+      font-weight: bold;
+      color: #666;
+      text-transform: uppercase;
+      cursor: pointer;
+    }
+
+    .midonika-panel[open] summary {
+      margin-bottom: 4px;
+    }
+
+    /* Send panel */
+    .midonika-send-row {
+      display: flex;
+      flex-wrap: wrap;
+      align-items: center;
+      gap: 4px 8px;
+      margin-bottom: 4px;
+      color: #333;
+      font-size: 10px;
+    }
+
+    .midonika-send-row [hidden] {
+      display: none;
+    }
+
+    .midonika-input {
+      font-family: monospace;
+      font-size: 10px;
+    }
+
+    .midonika-send-row input[type="number"] {
+      width: 52px;
+    }
+
+    .midonika-send-hex {
+      width: 160px;
+    }
+
+    .midonika-panic-btn {
+      margin-left: auto;
+      background: #c0392b;
+      border-color: #c0392b;
+      color: white;
+    }
+
+    .midonika-panic-btn:hover {
+      background: #e74c3c;
+    }
+
+    .midonika-send-status {
+      min-height: 12px;
+      color: #666;
+      font-size: 10px;
+    }
+
+    .midonika-send-status.midonika-error {
+      color: #c0392b;
+    }
+
+    /* SysEx panel */
+    .midonika-btn:disabled {
+      opacity: 0.5;
+      cursor: default;
+    }
+
+    .midonika-identities {
+      color: #333;
+      font-size: 10px;
+    }
+
+    .midonika-identity {
+      color: #1b4f9c;
+    }
+
+    /* Log */
+    .midonika-log-bar {
+      display: flex;
+      flex-wrap: wrap;
+      align-items: center;
+      gap: 4px 8px;
+    }
+
+    .midonika-log-count,
+    .midonika-sysex-count {
+      color: #666;
+      font-size: 10px;
+    }
+
+    .midonika-log-actions {
+      display: flex;
+      gap: 2px;
+      margin-left: auto;
+    }
+
+    .midonika-event--replayed .midonika-event-device {
+      font-style: italic;
+    }
+
     /* Scrollable Events */
     .midonika-events {
       background: #fff;
@@ -203,20 +777,46 @@ class Midonika {
     }
 
     .midonika-event {
+      display: grid;
+      grid-template-columns: 64px 56px 90px 34px 1fr;
+      gap: 4px;
       padding: 1px 0;
       border-bottom: 1px solid #f0f0f0;
       word-break: break-all;
     }
 
-    .midonika-event-time {
+    .midonika-event-time,
+    .midonika-event-delta {
+      color: #666;
+      text-align: right;
+    }
+
+    .midonika-event-device {
+      color: #666;
+      overflow: hidden;
+      white-space: nowrap;
+      text-overflow: ellipsis;
+    }
+
+    .midonika-event-channel {
       color: #666;
-      margin-right: 8px;
     }
 
     .midonika-event-data {
       color: #333;
     }
 
+    .midonika-event-raw {
+      color: #999;
+      margin-left: 6px;
+    }
+
+    .midonika-event--note .midonika-event-data { color: #1a6e1a; }
+    .midonika-event--controlchange .midonika-event-data { color: #1b4f9c; }
+    .midonika-event--pitchbend .midonika-event-data,
+    .midonika-event--aftertouch .midonika-event-data { color: #7a3f9c; }
+    .midonika-event--sysex .midonika-event-data { color: #a04b00; }
+
     /* Scrollbar styling */
     .midonika-events::-webkit-scrollbar {
       width: 6px;
@@ -246,11 +846,6 @@ class Midonika {
     this.midiInputs.clear();
     for (let input of this.midiAccess.inputs.values()) {
       this.midiInputs.set(input.id, input);
-
-      // Set up an event listener for this input
-      input.onmidimessage = (event) => {
-        this.handleMidiMessage(event, input.name);
-      };
     }
 
     // Update outputs
@@ -264,89 +859,172 @@ class Midonika {
 
   updateUI() {
     // Update inputs list
-    const inputsContainer = document.getElementById("midonika-inputs");
+    const inputsContainer = this.find("inputs");
     if (inputsContainer) {
       if (this.midiInputs.size === 0) {
         inputsContainer.innerHTML = "No inputs available";
       } else {
         inputsContainer.innerHTML = Array.from(this.midiInputs.values())
-          .map(
-            (input) => `<div class="midonika-device-item">${input.name}</div>`,
-          )
+          .map((input) => {
+            const identity = this.identities.get(input.id);
+            return this.deviceItemHTML(
+              `input:${input.id}`,
+              `${Midonika.escapeHTML(input.name)}${
+                identity
+                  ? ` <span class="midonika-identity">${Midonika.describeIdentity(identity)}</span>`
+                  : ""
+              }`,
+            );
+          })
           .join("");
       }
     }
 
     // Update outputs list
-    const outputsContainer = document.getElementById("midonika-outputs");
+    const outputsContainer = this.find("outputs");
     if (outputsContainer) {
       if (this.midiOutputs.size === 0) {
         outputsContainer.innerHTML = "No outputs available";
       } else {
         outputsContainer.innerHTML = Array.from(this.midiOutputs.values())
+          .map((output) => this.deviceItemHTML(`output:${output.id}`, Midonika.escapeHTML(output.name)))
+          .join("");
+      }
+    }
+
+    this.updateActivityDisplay();
+
+    // Update device filter, keeping the current choice if the device is still there
+    const deviceFilter = this.find("device-filter");
+    if (deviceFilter) {
+      deviceFilter.innerHTML =
+        `<option value="*">All devices</option>` +
+        Array.from(this.midiInputs.values())
+          .map(
+            (input) =>
+              `<option value="${Midonika.escapeHTML(input.id)}">${Midonika.escapeHTML(input.name)}</option>`,
+          )
+          .join("");
+      deviceFilter.value = this.midiInputs.has(this.filters.device)
+        ? this.filters.device
+        : "*";
+    }
+
+    // Update send panel outputs
+    const sendOutput = this.find("send-output");
+    if (sendOutput) {
+      if (this.midiOutputs.size === 0) {
+        sendOutput.innerHTML = `<option value="">No outputs</option>`;
+      } else {
+        sendOutput.innerHTML = Array.from(this.midiOutputs.values())
           .map(
             (output) =>
-              `<div class="midonika-device-item">${output.name}</div>`,
+              `<option value="${Midonika.escapeHTML(output.id)}">${Midonika.escapeHTML(output.name)}</option>`,
           )
           .join("");
+        if (!this.midiOutputs.has(this.sendOutputId)) {
+          this.sendOutputId = this.midiOutputs.keys().next().value;
+        }
+        sendOutput.value = this.sendOutputId;
       }
     }
 
     // Update status
-    const statusElement = document.getElementById("midonika-status");
+    const statusElement = this.find("status");
     if (statusElement) {
-      statusElement.textContent = this.ready ? "MIDI Ready" : "MIDI Not Ready";
+      statusElement.textContent = !this.ready
+        ? "MIDI Not Ready"
+        : this.paused
+          ? "MIDI Ready (paused)"
+          : "MIDI Ready";
       statusElement.className = this.ready
         ? "midonika-status"
         : "midonika-status midonika-error";
     }
   }
 
-  handleMidiMessage(event, deviceName) {
+  handleMidiMessage(event, deviceName, deviceId = deviceName) {
     const data = Array.from(event.data);
     const timestamp = new Date().toLocaleTimeString();
+    // High-resolution time in ms (same clock as performance.now())
+    const time = event.timeStamp ?? performance.now();
 
     // Create an event object
     const midiEvent = {
       timestamp: timestamp,
+      time: time,
+      delta: this.lastEventTime === null ? 0 : time - this.lastEventTime,
       device: deviceName,
+      deviceId: deviceId,
       data: data,
       raw: event.data,
+      decoded: Midonika.decodeMessage(data),
+      replayed: !!event.replayed,
     };
+    this.lastEventTime = time;
 
-    // Add to an events array
-    this.events.unshift(midiEvent);
+    // Replayed messages came from a log already
+    if (this.logging && !midiEvent.replayed) {
+      this.log.push(midiEvent);
+      this.updateLogCount();
+    }
 
-    // Limit events array size
-    if (this.events.length > this.maxEvents) {
-      this.events = this.events.slice(0, this.maxEvents);
+    if (!midiEvent.replayed) {
+      this.recordActivity("input", deviceId, deviceName, data);
     }
 
-    // Update events display
-    this.updateEventsDisplay();
+    if (midiEvent.decoded.type === "sysex" && !midiEvent.replayed) {
+      this.handleSysex(midiEvent);
+    }
+
+    // Add to an events array, unless the monitor is paused or filtering it out
+    if (!this.paused && this.matchesFilters(midiEvent)) {
+      this.events.unshift(midiEvent);
+
+      // Limit events array size
+      if (this.events.length > this.maxEvents) {
+        this.events = this.events.slice(0, this.maxEvents);
+      }
+
+      // Update events display
+      this.updateEventsDisplay();
+    }
 
     // Notify listeners
     this.notifyEventListeners(midiEvent);
   }
 
+  matchesFilters(event) {
+    const { type, channel } = event.decoded;
+    if (!this.filters.types.has(Midonika.typeGroup(type))) return false;
+    if (channel !== null && !this.filters.channels.has(channel)) return false;
+    return this.filters.device === "*" || this.filters.device === event.deviceId;
+  }
+
   updateEventsDisplay() {
-    const eventsContainer = document.getElementById("midonika-events");
+    const eventsContainer = this.find("events");
     if (!eventsContainer) return;
 
-    if (this.events.length === 0) {
-      eventsContainer.innerHTML = "No events yet...";
+    const visible = this.events.filter((event) => this.matchesFilters(event));
+    if (visible.length === 0) {
+      eventsContainer.innerHTML =
+        this.events.length === 0 ? "No events yet..." : "No events match the filters";
       return;
     }
 
-    eventsContainer.innerHTML = this.events
-      .map(
-        (event) => `
-                <div class="midonika-event">
-                    <span class="midonika-event-time">${event.timestamp}</span>
-                    <span class="midonika-event-data">${event.device}: [${event.data.join(", ")}]</span>
+    eventsContainer.innerHTML = visible
+      .map((event) => {
+        const device = Midonika.escapeHTML(event.device);
+        return `
+                <div class="midonika-event midonika-event--${Midonika.typeGroup(event.decoded.type)}${event.replayed ? " midonika-event--replayed" : ""}">
+                    <span class="midonika-event-time">${(event.time / 1000).toFixed(4)}s</span>
+                    <span class="midonika-event-delta">+${event.delta.toFixed(2)}ms</span>
+                    <span class="midonika-event-device" title="${device}">${device}</span>
+                    <span class="midonika-event-channel">${event.decoded.channel ? `Ch${event.decoded.channel}` : "—"}</span>
+                    <span class="midonika-event-data">${Midonika.escapeHTML(Midonika.describeMessage(event.decoded))}<span class="midonika-event-raw">${Midonika.formatBytes(event.data)}</span></span>
                 </div>
-            `,
-      )
+            `;
+      })
       .join("");
   }
 
@@ -355,38 +1033,591 @@ class Midonika {
     this.updateEventsDisplay();
   }
 
-  // API Methods for external components
+  updateLogCount() {
+    const countElement = this.find("log-count");
+    if (countElement) {
+      countElement.textContent = this.logging || this.log.length
+        ? `${this.log.length} logged`
+        : "Not logging";
+    }
+  }
 
-  /**
-   * Check if MIDI is ready
-   * @returns {boolean}
-   */
-  isReady() {
-    return this.ready;
+  setSendStatus(text, isError = false) {
+    const statusElement = this.find("send-status");
+    if (!statusElement) return;
+    statusElement.textContent = text;
+    statusElement.classList.toggle("midonika-error", isError);
   }
 
+  // Send panel message building
+
   /**
-   * Get all MIDI inputs
-   * @returns {Array} Array of input objects with id, name, and reference
+   * Parse hex bytes like "90 3C 64" or "903C64"
+   * @param {string} text
+   * @returns {Array} MIDI data array
    */
-  getInputs() {
-    return Array.from(this.midiInputs.values()).map((input) => ({
-      id: input.id,
-      name: input.name,
-      state: input.state,
-      connection: input.connection,
-      reference: input,
-    }));
+  static parseHex(text) {
+    const compact = text.replace(/0x/gi, "").replace(/[\s,]+/g, "");
+    if (!compact || compact.length % 2 !== 0 || /[^0-9a-f]/i.test(compact)) {
+      throw new Error(`Invalid hex bytes: "${text}"`);
+    }
+
+    const data = compact.match(/../g).map((b) => parseInt(b, 16));
+    if (data[0] < 0x80) throw new Error("Message must start with a status byte (80-FF)");
+    return data;
   }
 
   /**
-   * Get all MIDI outputs
-   * @returns {Array} Array of output objects with id, name, and reference
+   * Build the messages for a send panel entry
+   * @param {Object} spec - { type, channel, note, velocity, duration, controller, value, program, bend, hex }
+   * @returns {Array<{data: Array, delayMs: number}>}
    */
-  getOutputs() {
-    return Array.from(this.midiOutputs.values()).map((output) => ({
-      id: output.id,
-      name: output.name,
+  static composeMessage(spec) {
+    const clamp7 = (n) => Math.max(0, Math.min(127, n | 0));
+    const ch = Math.max(1, Math.min(16, spec.channel | 0 || 1)) - 1;
+
+    switch (spec.type) {
+      case "note": {
+        const note = clamp7(spec.note);
+        return [
+          { data: [0x90 | ch, note, Math.max(1, clamp7(spec.velocity))], delayMs: 0 },
+          { data: [0x80 | ch, note, 0], delayMs: Math.max(1, spec.duration || 250) },
+        ];
+      }
+      case "controlchange":
+        return [{ data: [0xb0 | ch, clamp7(spec.controller), clamp7(spec.value)], delayMs: 0 }];
+      case "programchange":
+        return [{ data: [0xc0 | ch, clamp7(spec.program)], delayMs: 0 }];
+      case "pitchbend": {
+        const bend = Math.max(-8192, Math.min(8191, spec.bend | 0)) + 8192;
+        return [{ data: [0xe0 | ch, bend & 0x7f, bend >> 7], delayMs: 0 }];
+      }
+      case "raw":
+        return [{ data: Midonika.parseHex(spec.hex || ""), delayMs: 0 }];
+    }
+    throw new Error(`Unknown message type "${spec.type}"`);
+  }
+
+  // Activity statistics
+
+  // label is HTML: callers escape the device name
+  deviceItemHTML(statsKey, label) {
+    const channels = "<span></span>".repeat(16);
+    return `
+                <div class="midonika-device-item" data-stats-key="${Midonika.escapeHTML(statsKey)}">
+                    <span class="midonika-led"></span>
+                    <span class="midonika-device-name">${label}</span>
+                    <span class="midonika-channel-leds" title="Channels 1-16">${channels}</span>
+                    <span class="midonika-rate">0/s</span>
+                </div>`;
+  }
+
+  recordActivity(direction, id, name, data) {
+    const key = `${direction}:${id}`;
+    const now = performance.now();
+    let stats = this.deviceStats.get(key);
+    if (!stats) {
+      stats = {
+        id,
+        name,
+        direction,
+        total: 0,
+        byType: {},
+        channels: new Array(16).fill(0),
+        channelActivity: new Array(16).fill(-Infinity), // last message time per channel
+        lastActivity: -Infinity,
+        recent: [], // message times within the last second, for the rate
+        held: new Map(), // "channel:note" -> { channel, note, since }
+      };
+      this.deviceStats.set(key, stats);
+    }
+
+    const decoded = Midonika.decodeMessage(data);
+    stats.total++;
+    stats.byType[decoded.type] = (stats.byType[decoded.type] || 0) + 1;
+    stats.lastActivity = now;
+    stats.recent.push(now);
+    Midonika.trimRecent(stats.recent, now);
+
+    if (decoded.channel !== null) {
+      stats.channels[decoded.channel - 1]++;
+      stats.channelActivity[decoded.channel - 1] = now;
+    }
+
+    const noteKey = `${decoded.channel}:${decoded.note}`;
+    if (decoded.type === "noteon") {
+      stats.held.set(noteKey, { channel: decoded.channel, note: decoded.note, since: now });
+    } else if (decoded.type === "noteoff") {
+      stats.held.delete(noteKey);
+    } else if (decoded.type === "controlchange" && (decoded.controller === 123 || decoded.controller === 120)) {
+      // All Notes Off / All Sound Off release the whole channel
+      stats.held.forEach((held, heldKey) => {
+        if (held.channel === decoded.channel) stats.held.delete(heldKey);
+      });
+    }
+  }
+
+  static trimRecent(times, now) {
+    while (times.length && times[0] <= now - 1000) times.shift();
+  }
+
+  updateActivityDisplay() {
+    if (!this.container) return;
+    const now = performance.now();
+    const lit = (time) => now - time < 150;
+
+    this.findAll("[data-stats-key]").forEach((item) => {
+      const stats = this.deviceStats.get(item.dataset.statsKey);
+      if (!stats) return;
+
+      Midonika.trimRecent(stats.recent, now);
+      item.querySelector(".midonika-led").classList.toggle("on", lit(stats.lastActivity));
+      item.querySelector(".midonika-rate").textContent = `${stats.recent.length}/s`;
+      item.querySelectorAll(".midonika-channel-leds span").forEach((led, i) => {
+        led.classList.toggle("on", lit(stats.channelActivity[i]));
+        led.classList.toggle("used", stats.channels[i] > 0);
+        led.title = `Ch ${i + 1}: ${stats.channels[i]}`;
+      });
+    });
+
+    const { byType, stuckNotes } = this.getStats();
+
+    const countsElement = this.find("type-counts");
+    if (countsElement) {
+      const groups = {};
+      Object.entries(byType).forEach(([type, count]) => {
+        const group = Midonika.typeGroup(type);
+        groups[group] = (groups[group] || 0) + count;
+      });
+      const parts = Object.entries(Midonika.TYPE_GROUPS)
+        .filter(([group]) => groups[group])
+        .map(([group, label]) => `${label} ${groups[group]}`);
+      countsElement.textContent = parts.length ? parts.join(" · ") : "No messages yet";
+    }
+
+    const stuckElement = this.find("stuck-notes");
+    if (stuckElement) {
+      stuckElement.textContent = stuckNotes.length
+        ? `Stuck: ${stuckNotes
+            .map((n) => `${n.name} ch${n.channel} on ${n.device} (${Math.round(n.heldMs / 1000)}s)`)
+            .join(", ")}`
+        : "";
+    }
+  }
+
+  handleSysex(event) {
+    const { universal, identity } = event.decoded;
+
+    if (identity) {
+      this.identities.set(event.deviceId, { ...identity, device: event.device });
+      this.updateUI();
+      this.updateSysexUI();
+    } else if (universal !== "identityrequest") {
+      // Device dumps and other SysEx are kept for saving as .syx
+      this.sysexDumps.push(event.data);
+      this.updateSysexUI();
+    }
+  }
+
+  setSysexStatus(text) {
+    const countElement = this.find("sysex-count");
+    if (countElement) countElement.textContent = text;
+  }
+
+  updateSysexUI() {
+    const enabled = this.isSysexEnabled();
+
+    const enableButton = this.find("sysex-enable");
+    if (enableButton) {
+      enableButton.textContent = enabled ? "SysEx enabled" : "Enable SysEx";
+      enableButton.disabled = enabled;
+    }
+    this.findAll(".midonika-sysex-actions [data-needs-sysex]").forEach((button) => {
+      button.disabled = !enabled;
+    });
+
+    const count = this.sysexDumps.length;
+    this.setSysexStatus(`${count} SysEx message${count === 1 ? "" : "s"}`);
+
+    const identitiesElement = this.find("identities");
+    if (identitiesElement) {
+      identitiesElement.innerHTML = this.identities.size
+        ? Array.from(this.identities.values())
+            .map(
+              (identity) =>
+                `<div>${Midonika.escapeHTML(identity.device)}: ${Midonika.describeIdentity(identity)}</div>`,
+            )
+            .join("")
+        : "No devices identified";
+    }
+  }
+
+  // SysEx decoding
+
+  /**
+   * Decode the body of a SysEx message
+   * @param {Array} data - Full message, F0 ... F7
+   * @returns {Object} { manufacturer, manufacturerName, universal?, identity? }
+   */
+  static decodeSysex(data) {
+    const idLength = data[1] === 0x00 ? 3 : 1;
+    const manufacturer = Midonika.formatBytes(data.slice(1, 1 + idLength), Infinity);
+    const decoded = {
+      manufacturer,
+      manufacturerName: Midonika.MANUFACTURERS[manufacturer] || null,
+    };
+
+    // Universal Non-Real Time: F0 7E <device> 06 01|02 ...
+    if (data[1] === 0x7e && data[3] === 0x06) {
+      if (data[4] === 0x01) decoded.universal = "identityrequest";
+      if (data[4] === 0x02) {
+        decoded.universal = "identityreply";
+        decoded.identity = Midonika.decodeIdentityReply(data);
+      }
+    }
+    return decoded;
+  }
+
+  // F0 7E <device> 06 02 <manufacturer (1 or 3)> <family LSB MSB> <model LSB MSB> <version x4> F7
+  static decodeIdentityReply(data) {
+    const idLength = data[5] === 0x00 ? 3 : 1;
+    const manufacturer = Midonika.formatBytes(data.slice(5, 5 + idLength), Infinity);
+    const at = 5 + idLength;
+    if (data.length < at + 8) return null;
+
+    return {
+      manufacturer,
+      manufacturerName: Midonika.MANUFACTURERS[manufacturer] || null,
+      family: data[at] | (data[at + 1] << 7),
+      model: data[at + 2] | (data[at + 3] << 7),
+      version: data.slice(at + 4, at + 8).join("."),
+    };
+  }
+
+  static describeIdentity(identity) {
+    const hex4 = (n) => `0x${n.toString(16).toUpperCase().padStart(4, "0")}`;
+    return `${identity.manufacturerName || identity.manufacturer} family ${hex4(identity.family)} model ${hex4(identity.model)} v${identity.version}`;
+  }
+
+  /**
+   * Split raw .syx file contents into SysEx messages
+   * @param {ArrayBuffer|Uint8Array} buffer
+   * @returns {Array<Array>} MIDI data arrays, each F0 ... F7
+   */
+  static splitSysex(buffer) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    const messages = [];
+    let start = -1;
+
+    bytes.forEach((b, i) => {
+      if (b === 0xf0) start = i;
+      else if (b === 0xf7 && start >= 0) {
+        messages.push(Array.from(bytes.subarray(start, i + 1)));
+        start = -1;
+      }
+    });
+    return messages;
+  }
+
+  // Log formats
+
+  static logToJSON(log) {
+    return JSON.stringify(
+      {
+        format: "midonika-log",
+        version: 1,
+        exportedAt: new Date().toISOString(),
+        events: log.map((event) => ({
+          time: event.time,
+          device: event.device,
+          deviceId: event.deviceId,
+          data: event.data,
+        })),
+      },
+      null,
+      2,
+    );
+  }
+
+  static logToCSV(log) {
+    const quote = (value) => `"${String(value).replace(/"/g, '""')}"`;
+    const rows = log.map((event) =>
+      [
+        event.time.toFixed(3),
+        event.delta.toFixed(3),
+        quote(event.device),
+        quote(event.deviceId),
+        event.decoded.channel ?? "",
+        event.decoded.type,
+        quote(Midonika.describeMessage(event.decoded)),
+        Midonika.formatBytes(event.data, Infinity),
+      ].join(","),
+    );
+    return ["time_ms,delta_ms,device,device_id,channel,type,description,bytes", ...rows].join("\n");
+  }
+
+  static logToText(log) {
+    return log
+      .map((event) =>
+        [
+          `${(event.time / 1000).toFixed(4)}s`.padStart(12),
+          `+${event.delta.toFixed(2)}ms`.padStart(11),
+          String(event.device).padEnd(20),
+          (event.decoded.channel ? `Ch${event.decoded.channel}` : "—").padEnd(4),
+          Midonika.describeMessage(event.decoded).padEnd(40),
+          Midonika.formatBytes(event.data, Infinity),
+        ].join("  "),
+      )
+      .join("\n");
+  }
+
+  // Accepts logToJSON output (or its bare events array) and logToCSV output
+  static parseLog(text) {
+    const trimmed = text.trim();
+
+    if (trimmed.startsWith("{") || trimmed.startsWith("[")) {
+      const parsed = JSON.parse(trimmed);
+      const events = Array.isArray(parsed) ? parsed : parsed.events;
+      if (!Array.isArray(events)) throw new Error("No events found in JSON log");
+      return events.map((event) => ({
+        time: Number(event.time) || 0,
+        device: String(event.device ?? "Imported"),
+        deviceId: String(event.deviceId ?? event.device ?? "imported"),
+        data: Array.from(event.data, Number),
+      }));
+    }
+
+    const [header, ...lines] = Midonika.parseCSV(trimmed);
+    const column = (name) => header?.indexOf(name) ?? -1;
+    const timeCol = column("time_ms");
+    const bytesCol = column("bytes");
+    if (timeCol < 0 || bytesCol < 0) throw new Error("Not a Midonika JSON or CSV log");
+
+    return lines.map((cells) => ({
+      time: parseFloat(cells[timeCol]) || 0,
+      device: cells[column("device")] || "Imported",
+      deviceId: cells[column("device_id")] || cells[column("device")] || "imported",
+      data: cells[bytesCol].trim().split(/\s+/).map((b) => parseInt(b, 16)),
+    }));
+  }
+
+  static parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let cell = "";
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const c = text[i];
+      if (quoted) {
+        if (c === '"' && text[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (c === '"') {
+          quoted = false;
+        } else {
+          cell += c;
+        }
+      } else if (c === '"') {
+        quoted = true;
+      } else if (c === ",") {
+        row.push(cell);
+        cell = "";
+      } else if (c === "\n" || c === "\r") {
+        if (c === "\r" && text[i + 1] === "\n") i++;
+        row.push(cell);
+        rows.push(row);
+        row = [];
+        cell = "";
+      } else {
+        cell += c;
+      }
+    }
+    row.push(cell);
+    rows.push(row);
+    return rows.filter((r) => r.length > 1 || r[0] !== "");
+  }
+
+  // Decoding helpers (static so other modules can reuse them)
+
+  /**
+   * Decode raw MIDI bytes into a typed message
+   * @param {Array} data - MIDI data array
+   * @returns {Object} { type, channel (1-16 or null), ...type-specific fields }
+   */
+  static decodeMessage(data) {
+    const [status = 0, d1 = 0, d2 = 0] = data;
+
+    if (status === 0xf0) {
+      return { type: "sysex", channel: null, length: data.length, ...Midonika.decodeSysex(data) };
+    }
+    if (status > 0xf0) {
+      const type = Midonika.SYSTEM_TYPES[status] || "unknown";
+      if (type === "mtc") return { type, channel: null, value: d1 };
+      if (type === "songposition") return { type, channel: null, position: (d2 << 7) | d1 };
+      if (type === "songselect") return { type, channel: null, song: d1 };
+      return { type, channel: null };
+    }
+
+    const channel = (status & 0x0f) + 1;
+    switch (status & 0xf0) {
+      case 0x80:
+        return { type: "noteoff", channel, note: d1, velocity: d2 };
+      case 0x90:
+        // Note On with velocity 0 is a Note Off
+        return d2 > 0
+          ? { type: "noteon", channel, note: d1, velocity: d2 }
+          : { type: "noteoff", channel, note: d1, velocity: 0 };
+      case 0xa0:
+        return { type: "polypressure", channel, note: d1, pressure: d2 };
+      case 0xb0:
+        return { type: "controlchange", channel, controller: d1, value: d2 };
+      case 0xc0:
+        return { type: "programchange", channel, program: d1 };
+      case 0xd0:
+        return { type: "channelpressure", channel, pressure: d1 };
+      case 0xe0:
+        return { type: "pitchbend", channel, value: ((d2 << 7) | d1) - 8192 };
+    }
+
+    // Running status or stray data byte
+    return { type: "unknown", channel: null };
+  }
+
+  /**
+   * Human-readable summary of a decoded message
+   * @param {Object} decoded - Result of Midonika.decodeMessage()
+   * @returns {string}
+   */
+  static describeMessage(decoded) {
+    const note = () => `${Midonika.noteName(decoded.note)} (${decoded.note})`;
+
+    switch (decoded.type) {
+      case "noteon":
+        return `Note On ${note()} vel ${decoded.velocity}`;
+      case "noteoff":
+        return `Note Off ${note()} vel ${decoded.velocity}`;
+      case "polypressure":
+        return `Poly Aftertouch ${note()} ${decoded.pressure}`;
+      case "controlchange": {
+        const name = Midonika.CC_NAMES[decoded.controller];
+        return `CC ${decoded.controller}${name ? ` ${name}` : ""} = ${decoded.value}`;
+      }
+      case "programchange":
+        return `Program Change ${decoded.program}`;
+      case "channelpressure":
+        return `Channel Aftertouch ${decoded.pressure}`;
+      case "pitchbend":
+        return `Pitch Bend ${decoded.value > 0 ? "+" : ""}${decoded.value}`;
+      case "sysex":
+        if (decoded.universal === "identityrequest") return "SysEx Identity Request";
+        if (decoded.identity) return `SysEx Identity Reply: ${Midonika.describeIdentity(decoded.identity)}`;
+        return `SysEx ${decoded.length} bytes ${decoded.manufacturerName || `[${decoded.manufacturer}]`}`;
+      case "mtc":
+        return `MTC Quarter Frame ${decoded.value}`;
+      case "songposition":
+        return `Song Position ${decoded.position}`;
+      case "songselect":
+        return `Song Select ${decoded.song}`;
+      default:
+        return Midonika.TYPE_LABELS[decoded.type] || "Unknown";
+    }
+  }
+
+  /**
+   * Note name with octave, middle C (60) = C4
+   * @param {number} note - MIDI note number
+   * @returns {string}
+   */
+  static noteName(note) {
+    const names = ["C", "C#", "D", "D#", "E", "F", "F#", "G", "G#", "A", "A#", "B"];
+    return `${names[note % 12]}${Math.floor(note / 12) - 1}`;
+  }
+
+  /**
+   * Filter group a message type belongs to (see Midonika.TYPE_GROUPS)
+   * @param {string} type - Decoded message type
+   * @returns {string}
+   */
+  static typeGroup(type) {
+    switch (type) {
+      case "noteon":
+      case "noteoff":
+        return "note";
+      case "polypressure":
+      case "channelpressure":
+        return "aftertouch";
+      case "clock":
+      case "start":
+      case "continue":
+      case "stop":
+      case "activesensing":
+      case "reset":
+        return "realtime";
+      case "controlchange":
+      case "programchange":
+      case "pitchbend":
+      case "sysex":
+        return type;
+      default:
+        return "system";
+    }
+  }
+
+  /**
+   * Bytes as hex, long SysEx shortened
+   * @param {Array} data - MIDI data array
+   * @returns {string}
+   */
+  static formatBytes(data, maxBytes = 16) {
+    const hex = data
+      .slice(0, maxBytes)
+      .map((b) => b.toString(16).toUpperCase().padStart(2, "0"))
+      .join(" ");
+    return data.length > maxBytes ? `${hex} …` : hex;
+  }
+
+  /**
+   * Escape text for use in innerHTML, device names and imported logs included
+   * @param {*} text
+   * @returns {string}
+   */
+  static escapeHTML(text) {
+    return String(text).replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+  }
+
+  // API Methods for external components
+
+  /**
+   * Check if MIDI is ready
+   * @returns {boolean}
+   */
+  isReady() {
+    return this.ready;
+  }
+
+  /**
+   * Get all MIDI inputs
+   * @returns {Array} Array of input objects with id, name, and reference
+   */
+  getInputs() {
+    return Array.from(this.midiInputs.values()).map((input) => ({
+      id: input.id,
+      name: input.name,
+      state: input.state,
+      connection: input.connection,
+      reference: input,
+    }));
+  }
+
+  /**
+   * Get all MIDI outputs
+   * @returns {Array} Array of output objects with id, name, and reference
+   */
+  getOutputs() {
+    return Array.from(this.midiOutputs.values()).map((output) => ({
+      id: output.id,
+      name: output.name,
       state: output.state,
       connection: output.connection,
       reference: output,
@@ -405,6 +1636,209 @@ class Midonika {
     return this.events.slice(0, count);
   }
 
+  /**
+   * Set monitor filters; omitted keys are left unchanged
+   * @param {Object} filters
+   * @param {string[]|"all"} [filters.types] - Groups from Midonika.TYPE_GROUPS
+   * @param {number[]|"all"} [filters.channels] - Channels 1-16 (system messages always pass)
+   * @param {string} [filters.device] - Input id, or "*" for all
+   */
+  setFilters({ types, channels, device } = {}) {
+    if (types) {
+      this.filters.types = new Set(types === "all" ? Object.keys(Midonika.TYPE_GROUPS) : types);
+    }
+    if (channels) {
+      this.filters.channels = new Set(
+        channels === "all" ? Array.from({ length: 16 }, (_, i) => i + 1) : channels,
+      );
+    }
+    if (device) this.filters.device = device;
+
+    this.syncFilterControls();
+    this.updateEventsDisplay();
+  }
+
+  /**
+   * Get the current monitor filters
+   * @returns {Object} { types: string[], channels: number[], device: string }
+   */
+  getFilters() {
+    return {
+      types: [...this.filters.types],
+      channels: [...this.filters.channels].sort((a, b) => a - b),
+      device: this.filters.device,
+    };
+  }
+
+  /**
+   * Stop adding events to the monitor (listeners still receive them)
+   */
+  pause() {
+    this.paused = true;
+    this.syncFilterControls();
+    this.updateUI();
+  }
+
+  /**
+   * Resume adding events to the monitor
+   */
+  resume() {
+    this.paused = false;
+    this.syncFilterControls();
+    this.updateUI();
+  }
+
+  /**
+   * @returns {boolean} Whether the monitor is paused
+   */
+  isPaused() {
+    return this.paused;
+  }
+
+  syncFilterControls() {
+    this.findAll(".midonika-type-filters input").forEach((box) => {
+      box.checked = this.filters.types.has(box.value);
+    });
+    this.findAll(".midonika-channel-filters [data-channel]").forEach((btn) => {
+      const ch = btn.dataset.channel;
+      btn.classList.toggle(
+        "active",
+        ch === "all" ? this.filters.channels.size === 16 : this.filters.channels.has(parseInt(ch, 10)),
+      );
+    });
+
+    const deviceFilter = this.find("device-filter");
+    if (deviceFilter && this.midiInputs.has(this.filters.device)) {
+      deviceFilter.value = this.filters.device;
+    }
+
+    const pauseButton = this.find("pause");
+    if (pauseButton) {
+      pauseButton.textContent = this.paused ? "Resume" : "Pause";
+      pauseButton.classList.toggle("active", this.paused);
+    }
+  }
+
+  /**
+   * Turn the unbounded log on or off (existing entries are kept)
+   * @param {boolean} enabled
+   */
+  setLogging(enabled) {
+    this.logging = !!enabled;
+    const toggle = this.find("log-toggle");
+    if (toggle) toggle.checked = this.logging;
+    this.updateLogCount();
+  }
+
+  /**
+   * Get every logged message, oldest first
+   * @returns {Array} Array of MIDI event objects
+   */
+  getLog() {
+    return [...this.log];
+  }
+
+  /**
+   * Empty the log
+   */
+  clearLog() {
+    this.log = [];
+    this.updateLogCount();
+  }
+
+  /**
+   * Serialize the log
+   * @param {"json"|"csv"|"text"} format
+   * @returns {string}
+   */
+  exportLog(format = "json") {
+    if (format === "csv") return Midonika.logToCSV(this.log);
+    if (format === "text") return Midonika.logToText(this.log);
+    return Midonika.logToJSON(this.log);
+  }
+
+  /**
+   * Save the log as a file
+   * @param {"json"|"csv"|"text"} format
+   * @returns {Blob}
+   */
+  downloadLog(format = "json") {
+    const types = {
+      json: ["application/json", "json"],
+      csv: ["text/csv", "csv"],
+      text: ["text/plain", "txt"],
+    };
+    const [mime, extension] = types[format] || types.json;
+    const blob = new Blob([this.exportLog(format)], { type: mime });
+    const url = URL.createObjectURL(blob);
+
+    const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `midonika-log-${stamp}.${extension}`;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 5000);
+    return blob;
+  }
+
+  /**
+   * Replay a saved JSON or CSV log into the monitor and addEventListener callbacks
+   * @param {string} text - File contents from exportLog("json") or exportLog("csv")
+   * @param {Object} [options]
+   * @param {boolean} [options.realtime=true] - Keep the original timing; false replays at once
+   * @param {number} [options.speed=1] - Playback rate for realtime replay
+   * @returns {Promise<number>} Number of messages replayed
+   */
+  importLog(text, { realtime = true, speed = 1 } = {}) {
+    const entries = Midonika.parseLog(text);
+    this.stopReplay();
+    if (entries.length === 0) return Promise.resolve(0);
+
+    const replay = (entry) => {
+      this.handleMidiMessage(
+        { data: Uint8Array.from(entry.data), timeStamp: performance.now(), replayed: true },
+        entry.device,
+        entry.deviceId,
+      );
+    };
+
+    if (!realtime) {
+      entries.forEach(replay);
+      return Promise.resolve(entries.length);
+    }
+
+    const start = entries[0].time;
+    return new Promise((resolve) => {
+      let played = 0;
+      // stopReplay() resolves early with what was played so far
+      this.finishReplay = () => {
+        this.finishReplay = null;
+        resolve(played);
+      };
+
+      entries.forEach((entry) => {
+        const timer = setTimeout(() => {
+          this.replayTimers.delete(timer);
+          replay(entry);
+          played++;
+          if (this.replayTimers.size === 0) this.finishReplay();
+        }, Math.max(0, (entry.time - start) / speed));
+        this.replayTimers.add(timer);
+      });
+    });
+  }
+
+  /**
+   * Cancel a realtime replay in progress
+   */
+  stopReplay() {
+    this.replayTimers.forEach((timer) => clearTimeout(timer));
+    this.replayTimers.clear();
+    this.finishReplay?.();
+  }
+
   /**
    * Add event listener for MIDI messages
    * @param {Function} callback - Function to call when MIDI message received
@@ -433,6 +1867,295 @@ class Midonika {
     const output = this.midiOutputs.get(outputId);
     if (output) {
       output.send(data);
+      this.recordActivity("output", outputId, output.name, Array.from(data));
+    }
+  }
+
+  /**
+   * Send a send panel entry once (notes get their note off after `duration` ms)
+   * @param {string} outputId - ID of the output device
+   * @param {Object} spec - See Midonika.composeMessage()
+   */
+  sendComposed(outputId, spec) {
+    if (!this.midiOutputs.has(outputId)) throw new Error("Choose a MIDI output first");
+
+    const messages = Midonika.composeMessage(spec);
+    messages.forEach(({ data, delayMs }) => {
+      if (delayMs === 0) {
+        this.sendMessage(outputId, data);
+        return;
+      }
+      const timer = setTimeout(() => {
+        this.sendTimers.delete(timer);
+        this.sendMessage(outputId, data);
+      }, delayMs);
+      this.sendTimers.add(timer);
+    });
+
+    const { data } = messages[0];
+    this.setSendStatus(
+      `Sent ${Midonika.describeMessage(Midonika.decodeMessage(data))} [${Midonika.formatBytes(data)}]`,
+    );
+  }
+
+  /**
+   * Send the same entry over and over until stopRepeat()
+   * @param {string} outputId - ID of the output device
+   * @param {Object} spec - See Midonika.composeMessage()
+   * @param {number} intervalMs - Time between sends
+   */
+  startRepeat(outputId, spec, intervalMs) {
+    this.stopRepeat();
+    this.sendComposed(outputId, spec); // throws on a bad entry before anything repeats
+    this.repeatTimer = setInterval(() => {
+      try {
+        this.sendComposed(outputId, spec);
+      } catch (error) {
+        // e.g. the output was unplugged
+        this.stopRepeat();
+        this.setSendStatus(error.message, true);
+      }
+    }, Math.max(10, intervalMs || 500));
+
+    const button = this.find("send-btn");
+    if (button) {
+      button.textContent = "Stop";
+      button.classList.add("active");
+    }
+  }
+
+  /**
+   * Stop a repeating send
+   */
+  stopRepeat() {
+    if (this.repeatTimer) {
+      clearInterval(this.repeatTimer);
+      this.repeatTimer = null;
+    }
+
+    const button = this.find("send-btn");
+    if (button) {
+      button.textContent = "Send";
+      button.classList.remove("active");
+    }
+  }
+
+  /**
+   * All Notes Off (CC 123) and Reset All Controllers (CC 121) on all 16 channels
+   * @param {string} [outputId] - ID of the output device (default: every output)
+   */
+  panic(outputId = null) {
+    this.stopRepeat();
+
+    // Pending note offs would arrive after the reset anyway
+    this.sendTimers.forEach((timer) => clearTimeout(timer));
+    this.sendTimers.clear();
+
+    const outputIds = outputId ? [outputId] : Array.from(this.midiOutputs.keys());
+    outputIds.forEach((id) => {
+      for (let ch = 0; ch < 16; ch++) {
+        this.sendMessage(id, [0xb0 | ch, 123, 0]);
+        this.sendMessage(id, [0xb0 | ch, 121, 0]);
+      }
+    });
+    this.setSendStatus(`Panic sent to ${outputIds.length} output${outputIds.length === 1 ? "" : "s"}`);
+  }
+
+  /**
+   * Ask for SysEx access (shared with every module using TonikaMIDI)
+   * @returns {Promise<boolean>} Whether SysEx is now enabled
+   */
+  async enableSysex() {
+    this.sysexRequested = true;
+    try {
+      this.midiAccess = await window.TonikaMIDI.request({ sysex: true });
+      this.updateDeviceLists();
+    } catch (error) {
+      console.warn("SysEx access denied:", error);
+      this.setSysexStatus("SysEx access denied");
+      return false;
+    }
+    this.updateSysexUI();
+    return true;
+  }
+
+  /**
+   * @returns {boolean} Whether SysEx messages can be received and sent
+   */
+  isSysexEnabled() {
+    return !!window.TonikaMIDI?.isSysexEnabled();
+  }
+
+  /**
+   * Send a Universal Identity Request; replies show up next to the inputs
+   * @param {string} [outputId] - ID of the output device (default: every output)
+   */
+  requestIdentity(outputId = null) {
+    if (!this.isSysexEnabled()) throw new Error("Enable SysEx first");
+
+    const outputIds = outputId ? [outputId] : Array.from(this.midiOutputs.keys());
+    outputIds.forEach((id) => this.sendMessage(id, [0xf0, 0x7e, 0x7f, 0x06, 0x01, 0xf7]));
+  }
+
+  /**
+   * Devices that answered an Identity Request
+   * @returns {Array} { inputId, device, manufacturer, manufacturerName, family, model, version }
+   */
+  getIdentities() {
+    return Array.from(this.identities.entries()).map(([inputId, identity]) => ({ inputId, ...identity }));
+  }
+
+  /**
+   * SysEx messages received or loaded, oldest first
+   * @returns {Array<Array>} MIDI data arrays
+   */
+  getSysexDumps() {
+    return this.sysexDumps.map((data) => [...data]);
+  }
+
+  /**
+   * Forget captured SysEx messages
+   */
+  clearSysex() {
+    this.sysexDumps = [];
+    this.updateSysexUI();
+  }
+
+  /**
+   * Download captured SysEx messages as a .syx file
+   * @returns {Blob|undefined}
+   */
+  saveSyx() {
+    if (this.sysexDumps.length === 0) {
+      this.setSysexStatus("Nothing to save yet");
+      return;
+    }
+
+    const blob = new Blob([new Uint8Array(this.sysexDumps.flat())], { type: "application/octet-stream" });
+    const url = URL.createObjectURL(blob);
+
+    const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `midonika-${stamp}.syx`;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 5000);
+    return blob;
+  }
+
+  /**
+   * Replace captured SysEx with the messages in a .syx file
+   * @param {ArrayBuffer|Uint8Array} buffer - File contents
+   * @returns {number} Number of messages loaded
+   */
+  loadSyx(buffer) {
+    this.sysexDumps = Midonika.splitSysex(buffer);
+    this.updateSysexUI();
+    return this.sysexDumps.length;
+  }
+
+  /**
+   * Send captured or loaded SysEx to an output, spaced out so devices can keep up
+   * @param {string} outputId - ID of the output device
+   * @param {Object} [options]
+   * @param {number} [options.gapMs=50] - Pause between messages
+   * @returns {Promise<number>} Number of messages sent
+   */
+  async sendSyx(outputId, { gapMs = 50 } = {}) {
+    if (!this.isSysexEnabled()) throw new Error("Enable SysEx first");
+    if (!this.midiOutputs.has(outputId)) throw new Error("Choose a MIDI output first");
+
+    const messages = [...this.sysexDumps];
+    for (let i = 0; i < messages.length; i++) {
+      if (i > 0) await new Promise((resolve) => setTimeout(resolve, gapMs));
+      this.sendMessage(outputId, messages[i]);
+      this.setSysexStatus(`Sent ${i + 1}/${messages.length}`);
+    }
+    return messages.length;
+  }
+
+  /**
+   * Activity counters for every device that sent or received something
+   * @returns {Object} { total, byType, devices: [{ id, name, direction, total, rate, byType,
+   *   channels, held }], stuckNotes: [{ deviceId, device, direction, channel, note, name, heldMs }] }
+   */
+  getStats() {
+    const now = performance.now();
+    const byType = {};
+    const stuckNotes = [];
+    let total = 0;
+
+    const devices = Array.from(this.deviceStats.values()).map((stats) => {
+      Midonika.trimRecent(stats.recent, now);
+      total += stats.total;
+      Object.entries(stats.byType).forEach(([type, count]) => {
+        byType[type] = (byType[type] || 0) + count;
+      });
+
+      stats.held.forEach(({ channel, note, since }) => {
+        if (now - since >= this.stuckNoteMs) {
+          stuckNotes.push({
+            deviceId: stats.id,
+            device: stats.name,
+            direction: stats.direction,
+            channel,
+            note,
+            name: Midonika.noteName(note),
+            heldMs: now - since,
+          });
+        }
+      });
+
+      return {
+        id: stats.id,
+        name: stats.name,
+        direction: stats.direction,
+        total: stats.total,
+        rate: stats.recent.length, // messages in the last second
+        byType: { ...stats.byType },
+        channels: [...stats.channels],
+        held: stats.held.size,
+      };
+    });
+
+    return { total, byType, devices, stuckNotes };
+  }
+
+  /**
+   * Zero all activity counters
+   */
+  resetStats() {
+    this.deviceStats.clear();
+    this.updateActivityDisplay();
+  }
+
+  /**
+   * Detach from TonikaMIDI, stop timers and remove the UI
+   */
+  destroy() {
+    if (this.destroyed) return;
+    this.destroyed = true;
+    this.ready = false;
+
+    const hub = window.TonikaMIDI;
+    if (hub && this.handleHubMessage) {
+      hub.removeEventListener("statechange", this.handleHubStateChange);
+      hub.removeEventListener("message", this.handleHubMessage);
+    }
+
+    this.stopReplay();
+    this.stopRepeat();
+    this.sendTimers.forEach((timer) => clearTimeout(timer));
+    this.sendTimers.clear();
+    clearInterval(this.activityTimer);
+    this.activityTimer = null;
+    this.eventListeners = [];
+
+    if (this.container) {
+      this.container.innerHTML = "";
+      this.container = null;
     }
   }
 
@@ -455,6 +2178,103 @@ class Midonika {
   }
 }
 
+// Monitor filter groups and their labels
+Midonika.TYPE_GROUPS = {
+  note: "Notes",
+  controlchange: "CC",
+  programchange: "Program",
+  pitchbend: "Pitch Bend",
+  aftertouch: "Aftertouch",
+  sysex: "SysEx",
+  realtime: "Clock/Transport",
+  system: "System",
+};
+
+// System message status bytes (other than SysEx)
+Midonika.SYSTEM_TYPES = {
+  0xf1: "mtc",
+  0xf2: "songposition",
+  0xf3: "songselect",
+  0xf6: "tunerequest",
+  0xf7: "sysexend",
+  0xf8: "clock",
+  0xfa: "start",
+  0xfb: "continue",
+  0xfc: "stop",
+  0xfe: "activesensing",
+  0xff: "reset",
+};
+
+Midonika.TYPE_LABELS = {
+  tunerequest: "Tune Request",
+  sysexend: "End of SysEx",
+  clock: "Clock",
+  start: "Start",
+  continue: "Continue",
+  stop: "Stop",
+  activesensing: "Active Sensing",
+  reset: "System Reset",
+};
+
+Midonika.CC_NAMES = {
+  0: "Bank Select",
+  1: "Mod Wheel",
+  2: "Breath",
+  4: "Foot Pedal",
+  5: "Portamento Time",
+  6: "Data Entry",
+  7: "Volume",
+  8: "Balance",
+  10: "Pan",
+  11: "Expression",
+  32: "Bank Select LSB",
+  64: "Sustain",
+  65: "Portamento",
+  66: "Sostenuto",
+  67: "Soft Pedal",
+  71: "Resonance",
+  72: "Release",
+  73: "Attack",
+  74: "Cutoff",
+  91: "Reverb",
+  93: "Chorus",
+  98: "NRPN LSB",
+  99: "NRPN MSB",
+  100: "RPN LSB",
+  101: "RPN MSB",
+  120: "All Sound Off",
+  121: "Reset All Controllers",
+  123: "All Notes Off",
+};
+
+// SysEx manufacturer ids (hex, as in Midonika.formatBytes)
+Midonika.MANUFACTURERS = {
+  "01": "Sequential",
+  "04": "Moog",
+  "07": "Kurzweil",
+  "0F": "Ensoniq",
+  "10": "Oberheim",
+  "18": "E-mu",
+  "3E": "Waldorf",
+  "40": "Kawai",
+  "41": "Roland",
+  "42": "Korg",
+  "43": "Yamaha",
+  "44": "Casio",
+  "47": "Akai",
+  "7D": "Non-commercial",
+  "7E": "Universal Non-Real Time",
+  "7F": "Universal Real Time",
+  "00 00 0E": "Alesis",
+  "00 01 05": "M-Audio",
+  "00 20 29": "Novation",
+  "00 20 32": "Behringer",
+  "00 20 33": "Access",
+  "00 20 3C": "Elektron",
+  "00 20 6B": "Arturia",
+  "00 21 09": "Native Instruments",
+};
+
 // Export for use in other modules
 if (
   typeof globalThis !== "undefined" &&
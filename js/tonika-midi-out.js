@@ -0,0 +1,280 @@
+// TonikaMidiOut — sends Tonika notes and chords to a MIDI output
+// Same player shape as TonikaSynth, so modules can drive hardware or soft synths
+// v1.1.0 — Sends through the shared TonikaMIDI hub unless given a Midonika
+
+(() => {
+    const NOTE_ON = 0x90;
+    const NOTE_OFF = 0x80;
+    const CONTROL_CHANGE = 0xb0;
+    const ALL_NOTES_OFF = 123;
+
+    const clamp = (n, min, max) => Math.max(min, Math.min(max, n));
+
+    class TonikaMidiOut {
+        /**
+         * @param {Object} opts
+         * @param {Midonika} [opts.midonika] - Send through this Midonika instead of TonikaMIDI
+         * @param {string} [opts.outputId] - Output to send to (defaults to the first one)
+         * @param {number} [opts.channel=1] - MIDI channel 1-16
+         * @param {number} [opts.velocity=100] - Velocity for chords and notes sent without one
+         * @param {number} [opts.gateMs=500] - How long one-shot chords are held
+         */
+        constructor(opts = {}) {
+            // Anything with getOutputs() and sendMessage(outputId, data)
+            this._ports = opts.midonika ?? globalThis.TonikaMIDI ?? null;
+            if (!this._ports) {
+                throw new Error("TonikaMIDI not found. Load tonika-midi.js before TonikaMidiOut.");
+            }
+            this.settings = {
+                outputId: opts.outputId ?? null,
+                channel: clamp(opts.channel ?? 1, 1, 16),
+                velocity: clamp(opts.velocity ?? 100, 1, 127),
+                gateMs: opts.gateMs ?? 500,
+            };
+
+            this._sounding = new Map(); // note -> { outputId, channel } it was sent on
+            this._timers = new Set(); // pending playChord note on/off timeouts
+            this._pendingOffs = new Map(); // note -> gate-end note off timeout, cleared when the note is sent again
+            this._controls = null; // element rendered by mountControls()
+
+            // Keep the output list current as devices come and go
+            this._onStateChange = () => this._populateOutputs();
+            this._usesHub = !opts.midonika;
+            if (this._usesHub) {
+                this._ports.addEventListener("statechange", this._onStateChange);
+                this._ports.request().catch((err) => console.warn("TonikaMidiOut: MIDI access failed:", err));
+            }
+        }
+
+        // === SENDING ============================================================
+
+        _resolveOutputId() {
+            const outputs = this._ports.getOutputs();
+            if (outputs.some((o) => o.id === this.settings.outputId)) return this.settings.outputId;
+            return outputs[0]?.id ?? null;
+        }
+
+        _send(outputId, data) {
+            if (outputId) this._ports.sendMessage(outputId, data);
+        }
+
+        // === CONTROLS UI ========================================================
+
+        _controlsHTML() {
+            const channels = Array.from({ length: 16 }, (_, i) => i + 1)
+                .map((ch) => `<option value="${ch}" ${ch === this.settings.channel ? "selected" : ""}>${ch}</option>`)
+                .join("");
+
+            return `
+                <label class="tonika-midi-out__field">
+                    <span>MIDI Out</span>
+                    <select class="tonika-select tonika-midi-out__output"></select>
+                </label>
+                <label class="tonika-midi-out__field">
+                    <span>Ch</span>
+                    <select class="tonika-select tonika-midi-out__channel">${channels}</select>
+                </label>
+                <label class="tonika-midi-out__field">
+                    <span>Vel</span>
+                    <input class="tonika-input tonika-midi-out__number tonika-midi-out__velocity" type="number"
+                           min="1" max="127" step="1" value="${this.settings.velocity}">
+                </label>
+                <label class="tonika-midi-out__field">
+                    <span>Gate ms</span>
+                    <input class="tonika-input tonika-midi-out__number tonika-midi-out__gate" type="number"
+                           min="10" max="10000" step="10" value="${this.settings.gateMs}">
+                </label>
+            `;
+        }
+
+        _populateOutputs() {
+            const select = this._controls?.querySelector(".tonika-midi-out__output");
+            if (!select) return;
+
+            const outputs = this._ports.getOutputs();
+            if (outputs.length === 0) {
+                select.innerHTML = `<option value="" disabled selected>No MIDI outputs</option>`;
+                return;
+            }
+
+            const current = this._resolveOutputId();
+            select.replaceChildren(
+                ...outputs.map((o) => {
+                    const option = document.createElement("option");
+                    option.value = o.id;
+                    option.textContent = o.name;
+                    option.selected = o.id === current;
+                    return option;
+                }),
+            );
+        }
+
+        _cancelPendingOff(note) {
+            const timer = this._pendingOffs.get(note);
+            if (timer === undefined) return;
+            clearTimeout(timer);
+            this._timers.delete(timer);
+            this._pendingOffs.delete(note);
+        }
+
+        // === PUBLIC API =========================================================
+
+        /**
+         * Send a note on
+         * @param {number} note - MIDI note number
+         * @param {number} [velocity] - MIDI velocity 1-127 (defaults to the configured velocity)
+         */
+        noteOn(note, velocity = this.settings.velocity) {
+            this._cancelPendingOff(note);
+            const outputId = this._resolveOutputId();
+            if (!outputId) return;
+
+            // Close a still-sounding copy first so the device sees a clean retrigger
+            if (this._sounding.has(note)) this.noteOff(note);
+
+            const channel = this.settings.channel;
+            this._send(outputId, [NOTE_ON | (channel - 1), note, clamp(Math.round(velocity), 1, 127)]);
+            this._sounding.set(note, { outputId, channel });
+        }
+
+        /**
+         * Send a note off on the output/channel the note was started on
+         * @param {number} note - MIDI note number
+         */
+        noteOff(note) {
+            const sent = this._sounding.get(note);
+            if (!sent) return;
+            this._sounding.delete(note);
+            this._send(sent.outputId, [NOTE_OFF | (sent.channel - 1), note, 0]);
+        }
+
+        /**
+         * Send a chord, releasing it after the gate length
+         * @param {number[]} notes - MIDI note numbers, strummed low to high
+         * @param {Object} [opts]
+         * @param {number} [opts.velocity] - Defaults to the configured velocity
+         * @param {number} [opts.durationMs] - Defaults to the configured gate length
+         * @param {number} [opts.strumMs=0] - Delay between successive notes
+         */
+        playChord(notes, { velocity = this.settings.velocity, durationMs = this.settings.gateMs, strumMs = 0 } = {}) {
+            const schedule = (fn, delay) => {
+                const timer = setTimeout(() => {
+                    this._timers.delete(timer);
+                    fn();
+                }, delay);
+                this._timers.add(timer);
+                return timer;
+            };
+            // A note re-sent before this gate ends would otherwise get our note off and stop early on the device
+            const start = (note) => {
+                this.noteOn(note, velocity);
+                this._pendingOffs.set(note, schedule(() => {
+                    this._pendingOffs.delete(note);
+                    this.noteOff(note);
+                }, durationMs));
+            };
+
+            [...notes].sort((a, b) => a - b).forEach((note, i) => {
+                if (i === 0 || strumMs === 0) start(note);
+                else schedule(() => start(note), i * strumMs);
+            });
+        }
+
+        /**
+         * Release every note this sender started and cancel scheduled chords
+         */
+        allNotesOff() {
+            this._timers.forEach((timer) => clearTimeout(timer));
+            this._timers.clear();
+            this._pendingOffs.clear();
+            [...this._sounding.keys()].forEach((note) => this.noteOff(note));
+        }
+
+        /**
+         * Send All Notes Off (CC 123) on the current output and channel
+         */
+        panic() {
+            this.allNotesOff();
+            const channel = this.settings.channel;
+            this._send(this._resolveOutputId(), [CONTROL_CHANGE | (channel - 1), ALL_NOTES_OFF, 0]);
+        }
+
+        /**
+         * @param {string} outputId - Midonika output id
+         */
+        setOutput(outputId) {
+            this.allNotesOff();
+            this.settings.outputId = outputId;
+            this._populateOutputs();
+        }
+
+        /**
+         * @param {number} channel - MIDI channel 1-16
+         */
+        setChannel(channel) {
+            this.settings.channel = clamp(channel, 1, 16);
+            const select = this._controls?.querySelector(".tonika-midi-out__channel");
+            if (select) select.value = String(this.settings.channel);
+        }
+
+        /**
+         * @param {number} velocity - Default velocity 1-127
+         */
+        setVelocity(velocity) {
+            this.settings.velocity = clamp(velocity, 1, 127);
+            const input = this._controls?.querySelector(".tonika-midi-out__velocity");
+            if (input) input.value = String(this.settings.velocity);
+        }
+
+        /**
+         * @param {number} gateMs - How long one-shot chords are held
+         */
+        setGate(gateMs) {
+            this.settings.gateMs = Math.max(10, gateMs);
+            const input = this._controls?.querySelector(".tonika-midi-out__gate");
+            if (input) input.value = String(this.settings.gateMs);
+        }
+
+        /**
+         * Render output, channel, velocity and gate controls into an element
+         * @param {HTMLElement|string} target - Element or selector
+         */
+        mountControls(target) {
+            const el = typeof target === "string" ? document.querySelector(target) : target;
+            if (!el) return;
+
+            el.classList.add("tonika-midi-out");
+            el.innerHTML = this._controlsHTML();
+            this._controls = el;
+            this._populateOutputs();
+
+            const outputSelect = el.querySelector(".tonika-midi-out__output");
+            // A Midonika learns about hot-plugged devices on its own; re-read before choosing
+            outputSelect.addEventListener("focus", () => this._populateOutputs());
+            outputSelect.addEventListener("change", (e) => this.setOutput(e.target.value));
+            el.querySelector(".tonika-midi-out__channel")
+                .addEventListener("change", (e) => this.setChannel(parseInt(e.target.value, 10)));
+            el.querySelector(".tonika-midi-out__velocity")
+                .addEventListener("change", (e) => this.setVelocity(parseInt(e.target.value, 10) || 100));
+            el.querySelector(".tonika-midi-out__gate")
+                .addEventListener("change", (e) => this.setGate(parseInt(e.target.value, 10) || 500));
+        }
+
+        /**
+         * Release sounding notes and remove the controls
+         */
+        destroy() {
+            this.allNotesOff();
+            if (this._usesHub) {
+                this._ports.removeEventListener("statechange", this._onStateChange);
+            }
+            if (this._controls) {
+                this._controls.innerHTML = "";
+                this._controls = null;
+            }
+        }
+    }
+
+    // Expose globally
+    window.TonikaMidiOut = TonikaMidiOut;
+})();
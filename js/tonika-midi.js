@@ -0,0 +1,175 @@
+// TonikaMIDI — one shared Web MIDI access for every Tonika module on the page
+// Owns requestMIDIAccess, device hot-plug and message fan-out, so modules
+// subscribe with addEventListener instead of taking over onmidimessage.
+// v1.0.0
+
+(function () {
+    let midiAccess = null;
+    let accessPromise = null;
+    let sysexEnabled = false;
+
+    const listeners = { message: [], statechange: [] };
+    const boundInputs = new Map(); // input id -> { input, handler }
+
+    function notify(type, event) {
+        listeners[type].forEach((callback) => {
+            try {
+                callback(event);
+            } catch (error) {
+                console.error(`Error in TonikaMIDI ${type} listener:`, error);
+            }
+        });
+    }
+
+    function bindInput(input) {
+        const bound = boundInputs.get(input.id);
+        if (bound && bound.input === input) return;
+        if (bound) bound.input.removeEventListener("midimessage", bound.handler);
+
+        const handler = (event) => {
+            notify("message", { data: event.data, timeStamp: event.timeStamp, input });
+        };
+        input.addEventListener("midimessage", handler);
+        // addEventListener (unlike onmidimessage) does not open the port implicitly
+        if (input.open) void input.open().catch(() => {});
+        boundInputs.set(input.id, { input, handler });
+    }
+
+    function unbindAllInputs() {
+        boundInputs.forEach(({ input, handler }) => input.removeEventListener("midimessage", handler));
+        boundInputs.clear();
+    }
+
+    function bindInputs() {
+        for (const input of midiAccess.inputs.values()) bindInput(input);
+    }
+
+    function handleStateChange(event) {
+        bindInputs();
+        notify("statechange", { port: event?.port ?? null });
+    }
+
+    function adoptAccess(access, sysex) {
+        if (midiAccess) {
+            midiAccess.removeEventListener("statechange", handleStateChange);
+            unbindAllInputs();
+        }
+        midiAccess = access;
+        sysexEnabled = sysex;
+        midiAccess.addEventListener("statechange", handleStateChange);
+        bindInputs();
+
+        // Devices are now known; let subscribers populate their lists
+        notify("statechange", { port: null });
+        return midiAccess;
+    }
+
+    /**
+     * Get the shared MIDI access, requesting it on first use
+     * @param {Object} [options]
+     * @param {boolean} [options.sysex=false] - Re-requests access with SysEx if not already granted
+     * @returns {Promise<MIDIAccess>}
+     */
+    function request({ sysex = false } = {}) {
+        if (!navigator.requestMIDIAccess) {
+            return Promise.reject(new Error("Web MIDI API not supported in this browser."));
+        }
+        if (accessPromise && (sysexEnabled || !sysex)) return accessPromise;
+
+        const wanted = sysex || sysexEnabled;
+        const hadAccess = !!midiAccess;
+        accessPromise = navigator
+            .requestMIDIAccess({ sysex: wanted })
+            .then((access) => adoptAccess(access, wanted))
+            .catch((error) => {
+                // A failed SysEx upgrade keeps the access we already had
+                accessPromise = hadAccess ? Promise.resolve(midiAccess) : null;
+                throw error;
+            });
+        return accessPromise;
+    }
+
+    /**
+     * Subscribe to hub events
+     * @param {"message"|"statechange"} type
+     * @param {Function} callback - message: ({ data, timeStamp, input }); statechange: ({ port })
+     */
+    function addEventListener(type, callback) {
+        if (listeners[type] && !listeners[type].includes(callback)) listeners[type].push(callback);
+    }
+
+    /**
+     * Remove a subscription
+     * @param {"message"|"statechange"} type
+     * @param {Function} callback
+     */
+    function removeEventListener(type, callback) {
+        if (!listeners[type]) return;
+        const index = listeners[type].indexOf(callback);
+        if (index > -1) listeners[type].splice(index, 1);
+    }
+
+    function describePort(port) {
+        return {
+            id: port.id,
+            name: port.name,
+            manufacturer: port.manufacturer,
+            state: port.state,
+            connection: port.connection,
+            reference: port,
+        };
+    }
+
+    /**
+     * Get all MIDI inputs
+     * @returns {Array} Array of input objects with id, name, and reference
+     */
+    function getInputs() {
+        return midiAccess ? Array.from(midiAccess.inputs.values()).map(describePort) : [];
+    }
+
+    /**
+     * Get all MIDI outputs
+     * @returns {Array} Array of output objects with id, name, and reference
+     */
+    function getOutputs() {
+        return midiAccess ? Array.from(midiAccess.outputs.values()).map(describePort) : [];
+    }
+
+    /**
+     * Send a MIDI message to an output
+     * @param {string} outputId - ID of the output device
+     * @param {Array} data - MIDI data array
+     * @param {number} [timestamp] - performance.now() time to send at
+     */
+    function sendMessage(outputId, data, timestamp) {
+        const output = midiAccess?.outputs.get(outputId);
+        if (output) output.send(data, timestamp);
+    }
+
+    /**
+     * @returns {MIDIAccess|null} The shared access once granted
+     */
+    function getMidiAccess() {
+        return midiAccess;
+    }
+
+    /**
+     * @returns {boolean} Whether the shared access was granted with SysEx
+     */
+    function isSysexEnabled() {
+        return sysexEnabled;
+    }
+
+    // Expose globally
+    window.TonikaMIDI = {
+        request,
+        addEventListener,
+        removeEventListener,
+        getInputs,
+        getOutputs,
+        sendMessage,
+        getMidiAccess,
+        isSysexEnabled,
+    };
+})();
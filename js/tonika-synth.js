@@ -0,0 +1,362 @@
+// TonikaSynth — small polyphonic Web Audio synth shared by the Tonika modules
+// Gives Clavonika, Chordonika and Jackonika a voice without any MIDI hardware
+// v1.0.0 — Oscillator/envelope voices, master volume and presets
+
+(() => {
+    const MAX_VOICES = 32;
+
+    // Envelope times in seconds; sustain is a level (0-1)
+    const PRESETS = {
+        piano: {
+            label: "Soft Piano",
+            oscillators: [
+                { type: "triangle", detune: 0, gain: 0.7 },
+                { type: "sine", detune: 1200, gain: 0.2 },
+            ],
+            attack: 0.005,
+            decay: 1.2,
+            sustain: 0.2,
+            release: 0.35,
+            cutoff: 4200,
+        },
+        organ: {
+            label: "Organ",
+            oscillators: [
+                { type: "sine", detune: 0, gain: 0.5 },
+                { type: "sine", detune: 1200, gain: 0.3 },
+                { type: "sine", detune: 1902, gain: 0.15 },
+            ],
+            attack: 0.01,
+            decay: 0.1,
+            sustain: 0.9,
+            release: 0.08,
+            cutoff: 8000,
+        },
+        pad: {
+            label: "Warm Pad",
+            oscillators: [
+                { type: "sawtooth", detune: -7, gain: 0.35 },
+                { type: "sawtooth", detune: 7, gain: 0.35 },
+            ],
+            attack: 0.35,
+            decay: 0.8,
+            sustain: 0.7,
+            release: 0.9,
+            cutoff: 1800,
+        },
+        pluck: {
+            label: "Pluck",
+            oscillators: [
+                { type: "square", detune: 0, gain: 0.35 },
+                { type: "triangle", detune: -1200, gain: 0.3 },
+            ],
+            attack: 0.002,
+            decay: 0.35,
+            sustain: 0,
+            release: 0.2,
+            cutoff: 2600,
+        },
+    };
+
+    const clamp = (n, min, max) => Math.max(min, Math.min(max, n));
+    const midiToFrequency = (note) => 440 * Math.pow(2, (note - 69) / 12);
+
+    class TonikaSynth {
+        /**
+         * @param {Object} opts
+         * @param {string} [opts.preset="piano"] - Key of TonikaSynth.PRESETS
+         * @param {number} [opts.volume=0.6] - Master volume 0-1
+         * @param {number} [opts.maxVoices=32] - Oldest voice is stolen beyond this
+         */
+        constructor(opts = {}) {
+            this.settings = {
+                preset: PRESETS[opts.preset] ? opts.preset : "piano",
+                volume: clamp(opts.volume ?? 0.6, 0, 1),
+                maxVoices: opts.maxVoices ?? MAX_VOICES,
+            };
+
+            this._ctx = null; // AudioContext, created on first use
+            this._master = null;
+            this._voices = new Map(); // note -> { oscillators, env, startedAt }
+            this._timers = new Set(); // pending playChord note on/off timeouts
+            this._pendingOffs = new Map(); // note -> playChord release timeout, so a retriggered voice can drop it
+            this._controls = null; // element rendered by mountControls()
+        }
+
+        /**
+         * Synth instance shared by every module on the page
+         * @returns {TonikaSynth}
+         */
+        static shared() {
+            if (!TonikaSynth._shared) TonikaSynth._shared = new TonikaSynth();
+            return TonikaSynth._shared;
+        }
+
+        // === AUDIO GRAPH ========================================================
+
+        _ensureContext() {
+            if (!this._ctx) {
+                const AudioContextClass = globalThis.AudioContext || globalThis.webkitAudioContext;
+                if (!AudioContextClass) {
+                    console.warn("Web Audio API not supported in this browser.");
+                    return null;
+                }
+
+                this._ctx = new AudioContextClass();
+                this._master = this._ctx.createGain();
+                this._master.gain.value = this.settings.volume;
+
+                // Keep dense chords from clipping
+                const compressor = this._ctx.createDynamicsCompressor();
+                this._master.connect(compressor);
+                compressor.connect(this._ctx.destination);
+            }
+
+            // Browsers start contexts suspended until a user gesture
+            if (this._ctx.state === "suspended") void this._ctx.resume();
+            return this._ctx;
+        }
+
+        _startVoice(note, velocity) {
+            const ctx = this._ctx;
+            const preset = PRESETS[this.settings.preset];
+            const now = ctx.currentTime;
+            const peak = clamp(velocity / 127, 0, 1) * 0.5;
+
+            const filter = ctx.createBiquadFilter();
+            filter.type = "lowpass";
+            // Harder presses open the filter a little
+            filter.frequency.value = preset.cutoff * (0.6 + 0.6 * (velocity / 127));
+
+            const env = ctx.createGain();
+            env.gain.setValueAtTime(0, now);
+            env.gain.linearRampToValueAtTime(peak, now + preset.attack);
+            env.gain.setTargetAtTime(peak * preset.sustain, now + preset.attack, preset.decay / 3);
+
+            filter.connect(env);
+            env.connect(this._master);
+
+            const frequency = midiToFrequency(note);
+            const oscillators = preset.oscillators.map(({ type, detune, gain }) => {
+                const osc = ctx.createOscillator();
+                const level = ctx.createGain();
+                osc.type = type;
+                osc.frequency.value = frequency;
+                osc.detune.value = detune;
+                level.gain.value = gain;
+                osc.connect(level);
+                level.connect(filter);
+                osc.start(now);
+                return osc;
+            });
+
+            return { oscillators, env, release: preset.release, startedAt: now };
+        }
+
+        _releaseVoice(voice) {
+            const now = this._ctx.currentTime;
+            const gain = voice.env.gain;
+            gain.cancelScheduledValues(now);
+            gain.setValueAtTime(gain.value, now);
+            gain.setTargetAtTime(0, now, voice.release / 3);
+
+            const stopAt = now + voice.release * 2;
+            voice.oscillators.forEach((osc) => osc.stop(stopAt));
+            voice.oscillators[0].onended = () => voice.env.disconnect();
+        }
+
+        _stealOldestVoice() {
+            let oldestNote = null;
+            let oldestStart = Infinity;
+            this._voices.forEach((voice, note) => {
+                if (voice.startedAt < oldestStart) {
+                    oldestStart = voice.startedAt;
+                    oldestNote = note;
+                }
+            });
+            if (oldestNote !== null) this.noteOff(oldestNote);
+        }
+
+        // === CONTROLS UI ========================================================
+
+        _controlsHTML() {
+            const options = this.getPresets()
+                .map(({ value, label }) =>
+                    `<option value="${value}" ${value === this.settings.preset ? "selected" : ""}>${label}</option>`)
+                .join("");
+
+            return `
+                <label class="tonika-synth__field">
+                    <span>Sound</span>
+                    <select class="tonika-select tonika-synth__preset">${options}</select>
+                </label>
+                <label class="tonika-synth__field">
+                    <span>Volume</span>
+                    <input class="tonika-synth__volume" type="range" min="0" max="100" step="1"
+                           value="${Math.round(this.settings.volume * 100)}">
+                </label>
+            `;
+        }
+
+        _cancelPendingOff(note) {
+            const timer = this._pendingOffs.get(note);
+            if (timer === undefined) return;
+            clearTimeout(timer);
+            this._timers.delete(timer);
+            this._pendingOffs.delete(note);
+        }
+
+        // === PUBLIC API =========================================================
+
+        /**
+         * Start a note
+         * @param {number} note - MIDI note number
+         * @param {number} [velocity=100] - MIDI velocity 1-127
+         */
+        noteOn(note, velocity = 100) {
+            if (!this._ensureContext()) return;
+            this._cancelPendingOff(note);
+
+            // Retrigger a held note rather than stacking a second voice on it
+            if (this._voices.has(note)) this.noteOff(note);
+            if (this._voices.size >= this.settings.maxVoices) this._stealOldestVoice();
+
+            this._voices.set(note, this._startVoice(note, velocity));
+        }
+
+        /**
+         * Release a note
+         * @param {number} note - MIDI note number
+         */
+        noteOff(note) {
+            const voice = this._voices.get(note);
+            if (!voice) return;
+            this._voices.delete(note);
+            this._releaseVoice(voice);
+        }
+
+        /**
+         * Release every sounding note and cancel scheduled chords
+         */
+        allNotesOff() {
+            this._timers.forEach((timer) => clearTimeout(timer));
+            this._timers.clear();
+            this._pendingOffs.clear();
+            [...this._voices.keys()].forEach((note) => this.noteOff(note));
+        }
+
+        /**
+         * Play several notes together or strummed, releasing them after a while
+         * @param {number[]} notes - MIDI note numbers, strummed low to high
+         * @param {Object} [opts]
+         * @param {number} [opts.velocity=100] - MIDI velocity 1-127
+         * @param {number} [opts.durationMs=1200] - How long each note sounds
+         * @param {number} [opts.strumMs=0] - Delay between successive notes
+         */
+        playChord(notes, { velocity = 100, durationMs = 1200, strumMs = 0 } = {}) {
+            if (!this._ensureContext()) return;
+
+            const schedule = (fn, delay) => {
+                const timer = setTimeout(() => {
+                    this._timers.delete(timer);
+                    fn();
+                }, delay);
+                this._timers.add(timer);
+                return timer;
+            };
+            // noteOn retriggers a held voice; without cancelling, this release would cut the new one short
+            const start = (note) => {
+                this.noteOn(note, velocity);
+                this._pendingOffs.set(note, schedule(() => {
+                    this._pendingOffs.delete(note);
+                    this.noteOff(note);
+                }, durationMs));
+            };
+
+            [...notes].sort((a, b) => a - b).forEach((note, i) => {
+                schedule(() => start(note), i * strumMs);
+            });
+        }
+
+        /**
+         * Available presets
+         * @returns {Array<{value: string, label: string}>}
+         */
+        getPresets() {
+            return Object.entries(PRESETS).map(([value, preset]) => ({ value, label: preset.label }));
+        }
+
+        /**
+         * Switch preset; notes already sounding keep their old voice
+         * @param {string} name - Key of TonikaSynth.PRESETS
+         */
+        setPreset(name) {
+            if (!PRESETS[name]) return;
+            this.settings.preset = name;
+
+            const select = this._controls?.querySelector(".tonika-synth__preset");
+            if (select) select.value = name;
+        }
+
+        /**
+         * Set master volume
+         * @param {number} volume - 0-1
+         */
+        setVolume(volume) {
+            this.settings.volume = clamp(volume, 0, 1);
+            if (this._master) {
+                this._master.gain.setTargetAtTime(this.settings.volume, this._ctx.currentTime, 0.02);
+            }
+
+            const slider = this._controls?.querySelector(".tonika-synth__volume");
+            if (slider) slider.value = String(Math.round(this.settings.volume * 100));
+        }
+
+        /**
+         * @returns {number} Master volume 0-1
+         */
+        getVolume() {
+            return this.settings.volume;
+        }
+
+        /**
+         * Render preset and volume controls into an element
+         * @param {HTMLElement|string} target - Element or selector
+         */
+        mountControls(target) {
+            const el = typeof target === "string" ? document.querySelector(target) : target;
+            if (!el) return;
+
+            el.classList.add("tonika-synth");
+            el.innerHTML = this._controlsHTML();
+            el.querySelector(".tonika-synth__preset")
+                .addEventListener("change", (e) => this.setPreset(e.target.value));
+            el.querySelector(".tonika-synth__volume")
+                .addEventListener("input", (e) => this.setVolume(parseInt(e.target.value, 10) / 100));
+            this._controls = el;
+        }
+
+        /**
+         * Silence everything and release the audio context
+         */
+        destroy() {
+            this.allNotesOff();
+            if (this._ctx) {
+                void this._ctx.close();
+                this._ctx = null;
+                this._master = null;
+            }
+            if (this._controls) {
+                this._controls.innerHTML = "";
+                this._controls = null;
+            }
+            if (TonikaSynth._shared === this) TonikaSynth._shared = null;
+        }
+    }
+
+    TonikaSynth.PRESETS = PRESETS;
+    TonikaSynth._shared = null;
+
+    // Expose globally
+    window.TonikaSynth = TonikaSynth;
+})();